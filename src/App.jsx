@@ -1,849 +1,1634 @@
-import { useEffect, useRef, useState } from "react";
-import * as posedetection from "@tensorflow-models/pose-detection";
+import { useEffect, useMemo, useRef, useState } from "react";
 import * as tf from "@tensorflow/tfjs";
+import GarmentAnchorEditor from "./components/GarmentAnchorEditor";
+import GarmentMaskEditor from "./components/GarmentMaskEditor";
+import ScaleCalibration from "./components/ScaleCalibration";
+import WardrobePanel from "./components/WardrobePanel";
+import { BodyMesh3D } from "./utils/bodyMesh";
+import { ClothingProcessor } from "./utils/clothingProcessor";
+import { createClothingRenderer } from "./utils/clothingRenderer";
+import { estimateLighting } from "./utils/lighting";
+import { joinLabels } from "./utils/poseCoach";
+import { DEFAULT_POSE_MODEL, POSE_MODELS, createPoseDetector, normalizePose } from "./utils/poseModels";
+import { createGarment, moveLayer, sortLayers } from "./utils/outfit";
+import { buildCatalogZip, parseCatalog, readCatalogFiles } from "./utils/catalog";
+import { PoseSessionPlayer, parseSession, serializeSession } from "./utils/poseSession";
+import { canRecommendSize, parseSizeChart, recommendSize } from "./utils/sizeRecommendation";
+import { PersonSegmenter } from "./utils/segmentation";
+import { CAPTURE_SAMPLES, FRAME_HEIGHT, FRAME_WIDTH, personColor, startTryOnPipeline } from "./utils/tryOnPipeline";
 
-// Enhanced Background Removal
-class ClothingProcessor {
-  static async removeBackground(imageElement) {
-    return new Promise((resolve) => {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      
-      canvas.width = imageElement.width;
-      canvas.height = imageElement.height;
-      
-      ctx.drawImage(imageElement, 0, 0);
-      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const data = imageData.data;
-      
-      // Sample corner colors for background detection
-      const corners = [
-        { r: data[0], g: data[1], b: data[2] },
-        { r: data[canvas.width * 4 - 4], g: data[canvas.width * 4 - 3], b: data[canvas.width * 4 - 2] },
-      ];
-      
-      const threshold = 80;
-      
-      for (let i = 0; i < data.length; i += 4) {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-        
-        let isBackground = false;
-        for (let corner of corners) {
-          const diff = Math.sqrt(
-            Math.pow(r - corner.r, 2) +
-            Math.pow(g - corner.g, 2) +
-            Math.pow(b - corner.b, 2)
-          );
-          
-          if (diff < threshold) {
-            isBackground = true;
-            break;
-          }
-        }
-        
-        if (isBackground) {
-          data[i + 3] = 0;
-        }
-      }
-      
-      ctx.putImageData(imageData, 0, 0);
-      
-      const processedImage = new Image();
-      processedImage.onload = () => resolve(processedImage);
-      processedImage.src = canvas.toDataURL();
-    });
-  }
+// Main Component
+// Loads a garment image, removing its background unless an already
+// processed version (e.g. from the mask editor) is given
+function loadGarmentImage(source, processed, threshold) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = async () => {
+      resolve(processed
+        ? img
+        : (await ClothingProcessor.removeBackground(img, { threshold })).image);
+    };
+    img.src = processed || source;
+  });
 }
 
-// 3D Body Mesh Builder
-class BodyMesh3D {
-  constructor(height) {
-    this.height = height;
-    this.bodyOrientation = 'front'; // 'front' or 'back'
-  }
+const garmentImageKey = (source, processed, threshold) =>
+  source ? `${threshold}|${processed || source}` : null;
 
-  detectOrientation(keypoints) {
-    // Detect if user is facing front or back based on nose and shoulder positions
-    const kp = {};
-    keypoints.forEach(k => {
-      if (k.score > 0.3) kp[k.name] = k;
+// Loads and background-removes the images of each garment (utils/outfit).
+// Results are cached by source, so adding a layer or toggling visibility
+// only processes images that are new. Returns the garments as renderer
+// layers with frontImg/backImg/sideImg set.
+function useGarmentLayers(garments, threshold) {
+  const cacheRef = useRef(new Map());
+  const [images, setImages] = useState(new Map());
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const sources = garments
+      .flatMap(g => [[g.frontClothing, g.refinedFront], [g.backClothing, g.refinedBack], [g.sideClothing, g.refinedSide]])
+      .filter(([source]) => source);
+    const keys = new Set();
+    const pending = sources.map(([source, processed]) => {
+      const key = garmentImageKey(source, processed, threshold);
+      keys.add(key);
+      if (!cacheRef.current.has(key)) {
+        cacheRef.current.set(key, loadGarmentImage(source, processed, threshold));
+      }
+      return cacheRef.current.get(key).then(image => [key, image]);
+    });
+    // Forget images no garment uses any more
+    [...cacheRef.current.keys()].forEach(key => {
+      if (!keys.has(key)) cacheRef.current.delete(key);
     });
 
-    if (!kp.nose || !kp.left_shoulder || !kp.right_shoulder) {
-      return 'front';
-    }
+    setIsProcessing(true);
+    Promise.all(pending).then((entries) => {
+      if (cancelled) return;
+      setImages(new Map(entries));
+      setIsProcessing(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [garments, threshold]);
+
+  // Kept stable between renders: every new array is sent to the try-on pipeline
+  const layers = useMemo(() => garments
+    .map(g => ({
+      ...g,
+      frontImg: images.get(garmentImageKey(g.frontClothing, g.refinedFront, threshold)) || null,
+      backImg: images.get(garmentImageKey(g.backClothing, g.refinedBack, threshold)) || null,
+      sideImg: images.get(garmentImageKey(g.sideClothing, g.refinedSide, threshold)) || null
+    }))
+    .filter(layer => layer.frontImg), [garments, images, threshold]);
+
+  return { layers, isProcessing };
+}
 
-    const shoulderMidX = (kp.left_shoulder.x + kp.right_shoulder.x) / 2;
-    const noseX = kp.nose.x;
-    const offsetRatio = Math.abs(noseX - shoulderMidX) / Math.abs(kp.right_shoulder.x - kp.left_shoulder.x);
+// Garment images go to the pipeline as ImageBitmaps, made once per image
+const garmentBitmaps = new WeakMap();
 
-    // If nose is far from shoulder center, likely turned
-    if (offsetRatio > 0.4) {
-      return 'side';
-    }
+function toBitmap(img) {
+  if (!img) return null;
+  if (!garmentBitmaps.has(img)) garmentBitmaps.set(img, createImageBitmap(img));
+  return garmentBitmaps.get(img);
+}
 
-    // Check if shoulders are wider than hips (front) or narrower (back)
-    if (kp.left_hip && kp.right_hip) {
-      const shoulderWidth = Math.abs(kp.right_shoulder.x - kp.left_shoulder.x);
-      const hipWidth = Math.abs(kp.right_hip.x - kp.left_hip.x);
-      
-      if (shoulderWidth < hipWidth * 0.8) {
-        return 'back';
-      }
-    }
+// What the renderer needs of each layer; the source data URLs stay here
+function toPipelineLayers(layers) {
+  return Promise.all(layers.map(async (layer) => ({
+    id: layer.id,
+    clothingType: layer.clothingType,
+    zIndex: layer.zIndex,
+    visible: layer.visible,
+    tucked: layer.tucked,
+    frontAnchors: layer.frontAnchors,
+    backAnchors: layer.backAnchors,
+    frontImg: await toBitmap(layer.frontImg),
+    backImg: await toBitmap(layer.backImg),
+    sideImg: await toBitmap(layer.sideImg)
+  })));
+}
 
-    return 'front';
-  }
+const fileTimestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
 
-  buildBodyMesh(keypoints) {
-    const kp = {};
-    keypoints.forEach(k => {
-      if (k.score > 0.3) kp[k.name] = k;
-    });
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-    if (!kp.left_shoulder || !kp.right_shoulder) return null;
-
-    const shoulderWidth = Math.abs(kp.right_shoulder.x - kp.left_shoulder.x);
-    const pixelsPerCm = this.height / this.estimateBodyHeight(kp);
-    
-    this.bodyOrientation = this.detectOrientation(keypoints);
-
-    // Build detailed body mesh points
-    const mesh = {
-      // Upper body
-      shoulders: {
-        left: kp.left_shoulder,
-        right: kp.right_shoulder,
-        center: {
-          x: (kp.left_shoulder.x + kp.right_shoulder.x) / 2,
-          y: (kp.left_shoulder.y + kp.right_shoulder.y) / 2
-        }
-      },
-      
-      // Chest/Bust points (interpolated)
-      chest: this.interpolateChestPoints(kp, shoulderWidth),
-      
-      // Waist
-      waist: kp.left_hip && kp.right_hip ? {
-        left: { x: kp.left_hip.x, y: (kp.left_hip.y + kp.left_shoulder.y) / 2 },
-        right: { x: kp.right_hip.x, y: (kp.right_hip.y + kp.right_shoulder.y) / 2 },
-        center: {
-          x: (kp.left_hip.x + kp.right_hip.x) / 2,
-          y: (kp.left_hip.y + kp.right_hip.y + kp.left_shoulder.y + kp.right_shoulder.y) / 4
-        }
-      } : null,
-      
-      // Hips
-      hips: kp.left_hip && kp.right_hip ? {
-        left: kp.left_hip,
-        right: kp.right_hip,
-        center: {
-          x: (kp.left_hip.x + kp.right_hip.x) / 2,
-          y: (kp.left_hip.y + kp.right_hip.y) / 2
-        }
-      } : null,
-      
-      // Arms
-      arms: {
-        left: this.buildArmMesh(kp, 'left'),
-        right: this.buildArmMesh(kp, 'right')
-      },
-      
-      // Legs
-      legs: {
-        left: this.buildLegMesh(kp, 'left'),
-        right: this.buildLegMesh(kp, 'right')
-      },
-      
-      // Body contour (outline for fitting)
-      contour: this.buildBodyContour(kp),
-      
-      // Measurements
-      measurements: {
-        shoulderWidth: shoulderWidth / pixelsPerCm,
-        chest: shoulderWidth * 1.25 / pixelsPerCm,
-        waist: shoulderWidth * 0.9 / pixelsPerCm,
-        hip: shoulderWidth * 1.15 / pixelsPerCm,
-        pixelsPerCm: pixelsPerCm
-      },
-      
-      orientation: this.bodyOrientation,
-      keypoints: kp
-    };
+// Starts playback, passing a message to onError if it fails. Autoplay
+// policies can refuse it; a pause or source change before it starts only
+// aborts it, which is not an error.
+function playVideo(video, onError) {
+  video.play().catch((error) => {
+    if (error.name === 'AbortError') return;
+    console.error('Playback error:', error);
+    onError(error.name === 'NotAllowedError'
+      ? 'The browser blocked playback. Press play to start.'
+      : `Could not play the video: ${error.message}`);
+  });
+}
 
-    return mesh;
-  }
+// Plays a video file in a loop on `video`, reporting { playing, time,
+// duration } to onPlayback, every seek to onSeeked and playback failures to
+// onPlayError. Returns a detach function.
+function attachVideoFile(video, file, { onPlayback, onSeeked, onPlayError }) {
+  const url = URL.createObjectURL(file);
+  const updatePlayback = () => onPlayback({
+    playing: !video.paused,
+    time: video.currentTime,
+    duration: Number.isFinite(video.duration) ? video.duration : 0
+  });
+
+  video.srcObject = null;
+  video.loop = true;
+  video.onloadedmetadata = () => {
+    updatePlayback();
+    playVideo(video, onPlayError);
+  };
+  video.ontimeupdate = updatePlayback;
+  video.onplay = updatePlayback;
+  video.onpause = updatePlayback;
+  video.onseeked = onSeeked;
+  video.src = url;
+
+  return () => {
+    video.pause();
+    video.ontimeupdate = video.onplay = video.onpause = video.onseeked = null;
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  };
+}
 
-  interpolateChestPoints(kp, shoulderWidth) {
-    if (!kp.left_shoulder || !kp.right_shoulder) return null;
-    
-    const chestY = kp.left_shoulder.y + shoulderWidth * 0.4;
-    const chestExpansion = shoulderWidth * 0.15;
-    
-    return {
-      left: { x: kp.left_shoulder.x - chestExpansion, y: chestY },
-      right: { x: kp.right_shoulder.x + chestExpansion, y: chestY },
-      center: {
-        x: (kp.left_shoulder.x + kp.right_shoulder.x) / 2,
-        y: chestY
-      }
+const CLIP_LENGTHS = [5, 10, 30];
+const CAPTION_LINE_HEIGHT = 18;
+
+// Copy of the canvas with a caption band underneath
+function drawCaptionedSnapshot(canvas, lines) {
+  const padding = 10;
+  const captioned = document.createElement('canvas');
+  captioned.width = canvas.width;
+  captioned.height = canvas.height + lines.length * CAPTION_LINE_HEIGHT + padding * 2;
+  const ctx = captioned.getContext('2d');
+  ctx.drawImage(canvas, 0, 0);
+  ctx.fillStyle = '#111827';
+  ctx.fillRect(0, canvas.height, captioned.width, captioned.height - canvas.height);
+  ctx.font = '13px system-ui, sans-serif';
+  ctx.textBaseline = 'top';
+  lines.forEach((line, i) => {
+    ctx.fillStyle = i === 0 ? '#ffffff' : '#d1d5db';
+    ctx.fillText(line, padding, canvas.height + padding + i * CAPTION_LINE_HEIGHT);
+  });
+  return captioned;
+}
+
+const formatClipTime = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+function VirtualTryOn3D({
+  // Outfit layers (utils/outfit); refined images skip automatic background
+  // removal for that side
+  garments,
+  userHeight,
+  // Parsed brand size chart (utils/sizeRecommendation) for size advice
+  sizeChart,
+  // Garment renderer backend: '2d' or 'webgl' (falls back to 2D)
+  renderer = '2d',
+  // Local video File to use instead of the camera
+  videoFile = null,
+  // Pose detector (utils/poseModels)
+  poseModel = DEFAULT_POSE_MODEL,
+  // Segment the person so arms can pass in front of the garment
+  occlusion = true,
+  // Colour distance (RGB) from the backdrop model treated as background
+  backgroundThreshold = 40,
+  // Keypoint smoothing: 'oneEuro', 'kalman' or 'none'
+  smoothing = 'oneEuro',
+  minCutoff = 1.0,
+  beta = 0.007,
+  derivativeCutoff = 1.0,
+  processNoise = 2000,
+  measurementNoise = 4,
+  // Let dress hems and cuffs swing (utils/clothSimulation)
+  clothPhysics = true,
+  // Tint and shade garments to the room's light, read from the face
+  lightingMatch = true,
+  // Framing prompts; garments and measurements wait for reliable joints
+  coaching = true
+}) {
+  const videoRef = useRef(null);
+  // The output canvas is made per mount (a canvas can only be handed to a
+  // worker once) and placed in this container
+  const stageRef = useRef(null);
+  const canvasRef = useRef(null);
+  // utils/tryOnPipeline: detection, meshes and drawing, usually in a worker
+  const pipelineRef = useRef(null);
+  const frameDoneRef = useRef(null);
+  const snapshotRef = useRef(null);
+  const [detectorReady, setDetectorReady] = useState(false);
+  const [detectorError, setDetectorError] = useState(null);
+  const [videoError, setVideoError] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+  const { layers, isProcessing } = useGarmentLayers(garments, backgroundThreshold);
+  const [lighting, setLighting] = useState(null);
+  const [guidance, setGuidance] = useState(null);
+  const segmenterRef = useRef(null);
+  // 'idle', 'loading', 'ready' or 'error'
+  const [segmenterStatus, setSegmenterStatus] = useState('idle');
+  const frameLayerRef = useRef(null);
+  const fileSourceRef = useRef(false);
+  const [playback, setPlayback] = useState({ playing: false, time: 0, duration: 0 });
+  const [bodyMesh, setBodyMesh] = useState(null);
+  const [capture, setCapture] = useState(null);
+  // Bumped on every start and stop; updates from an older one are ignored
+  const captureGenerationRef = useRef(0);
+  const recordingGenerationRef = useRef(0);
+  const [circumferences, setCircumferences] = useState(null);
+  const latestKeypointsRef = useRef(null);
+  const [calibrationFrame, setCalibrationFrame] = useState(null);
+  const [scaleCalibration, setScaleCalibration] = useState(null);
+  const [recordedFrames, setRecordedFrames] = useState(null);
+  const [includeBackground, setIncludeBackground] = useState(true);
+  const replayRef = useRef(null);
+  const [replaySession, setReplaySession] = useState(null);
+  const [replayBackground, setReplayBackground] = useState('captured');
+  const [replayProgress, setReplayProgress] = useState(0);
+  const [latency, setLatency] = useState(null);
+  const [showKeypoints, setShowKeypoints] = useState(true);
+  const [snapshotDetails, setSnapshotDetails] = useState('none');
+  const clipRecorderRef = useRef(null);
+  // Page-side copy of the worker's frames while a clip is recorded
+  const mirrorCanvasRef = useRef(null);
+  const [clipSeconds, setClipSeconds] = useState(10);
+  const [clipRemaining, setClipRemaining] = useState(null);
+  // Multi-person models: the tracked people from the pipeline's last update
+  const [people, setPeople] = useState([]);
+  const [personHeights, setPersonHeights] = useState({});
+  // Garment ids each person has taken off; everyone wears the whole outfit by default
+  const [hiddenGarments, setHiddenGarments] = useState({});
+  const multiPerson = !!POSE_MODELS[poseModel]?.multiPerson;
+  // Nose-to-ankle height sets the scale, so measurements from a partial
+  // body are guesses
+  const measurePaused = !!guidance && !guidance.ready.measure && !replaySession;
+  const sizeRecommendation = bodyMesh && sizeChart
+    ? recommendSize(bodyMesh.measurements, sizeChart)
+    : null;
+
+  const post = (message, transfer) => pipelineRef.current?.post(message, transfer);
+
+  useEffect(() => {
+    const canvas = document.createElement('canvas');
+    canvas.width = FRAME_WIDTH;
+    canvas.height = FRAME_HEIGHT;
+    canvas.className = 'rounded-xl';
+    stageRef.current.appendChild(canvas);
+    canvasRef.current = canvas;
+
+    // Once the pipeline is gone, a frame or snapshot waiting on it would
+    // never finish
+    const failPending = (reason) => {
+      frameDoneRef.current?.();
+      frameDoneRef.current = null;
+      snapshotRef.current?.reject(new Error(reason));
+      snapshotRef.current = null;
     };
-  }
 
-  buildArmMesh(kp, side) {
-    const shoulder = kp[`${side}_shoulder`];
-    const elbow = kp[`${side}_elbow`];
-    const wrist = kp[`${side}_wrist`];
-    
-    if (!shoulder) return null;
-    
-    return {
-      shoulder,
-      elbow: elbow || { x: shoulder.x + (side === 'left' ? -30 : 30), y: shoulder.y + 60 },
-      wrist: wrist || (elbow ? { x: elbow.x, y: elbow.y + 60 } : { x: shoulder.x, y: shoulder.y + 120 })
+    // Per-frame results arrive throttled, so the overlay re-renders a few
+    // times a second rather than on every frame
+    const handleMessage = (message) => {
+      switch (message.type) {
+        case 'ready':
+          setIsReady(true);
+          break;
+        case 'detector':
+          setDetectorError(message.error || null);
+          setDetectorReady(!message.error);
+          break;
+        case 'frameDone':
+          frameDoneRef.current?.();
+          frameDoneRef.current = null;
+          break;
+        case 'error':
+          failPending(`Try-on pipeline failed: ${message.error || 'unknown error'}`);
+          break;
+        case 'update':
+          latestKeypointsRef.current = message.keypoints;
+          if (message.bodyMesh) setBodyMesh(message.bodyMesh);
+          setGuidance(message.guidance);
+          setLighting(message.lighting);
+          setLatency(message.latency);
+          setPeople(message.people);
+          // Starting and stopping are set here straight away and bump the
+          // generation, so an update already on its way cannot undo either
+          if (message.capture?.generation === captureGenerationRef.current) setCapture(message.capture);
+          if (message.recording?.generation === recordingGenerationRef.current) setRecordedFrames(message.recording.frames);
+          break;
+        case 'circumferences':
+          captureGenerationRef.current++;
+          setCircumferences(message.circumferences);
+          setCapture(null);
+          break;
+        case 'expired':
+          setHiddenGarments((prev) => Object.fromEntries(
+            Object.entries(prev).filter(([slot]) => !message.slots.includes(Number(slot)))
+          ));
+          break;
+        case 'session':
+          saveSession(message.session);
+          break;
+        case 'mirrorFrame':
+          mirrorCanvasRef.current?.getContext('2d').drawImage(message.image, 0, 0);
+          message.image.close();
+          break;
+        case 'snapshot':
+          if (!snapshotRef.current) message.image?.close();
+          else if (message.error) snapshotRef.current.reject(new Error(message.error));
+          else snapshotRef.current.resolve(message.image);
+          snapshotRef.current = null;
+          break;
+      }
     };
-  }
 
-  buildLegMesh(kp, side) {
-    const hip = kp[`${side}_hip`];
-    const knee = kp[`${side}_knee`];
-    const ankle = kp[`${side}_ankle`];
-    
-    if (!hip) return null;
-    
-    return {
-      hip,
-      knee: knee || { x: hip.x, y: hip.y + 80 },
-      ankle: ankle || (knee ? { x: knee.x, y: knee.y + 80 } : { x: hip.x, y: hip.y + 160 })
+    const pipeline = startTryOnPipeline(canvas, handleMessage);
+    pipelineRef.current = pipeline;
+    return () => {
+      pipeline.terminate();
+      pipelineRef.current = null;
+      failPending('Try-on pipeline stopped');
+      setIsReady(false);
+      setDetectorReady(false);
+      canvas.remove();
     };
-  }
+  }, []);
 
-  buildBodyContour(kp) {
-    // Create a smooth body outline for cloth wrapping
-    const contour = [];
-    
-    if (kp.left_shoulder) contour.push(kp.left_shoulder);
-    if (kp.left_elbow) contour.push(kp.left_elbow);
-    if (kp.left_hip) contour.push(kp.left_hip);
-    if (kp.left_knee) contour.push(kp.left_knee);
-    if (kp.right_knee) contour.push(kp.right_knee);
-    if (kp.right_hip) contour.push(kp.right_hip);
-    if (kp.right_elbow) contour.push(kp.right_elbow);
-    if (kp.right_shoulder) contour.push(kp.right_shoulder);
-    
-    return contour;
-  }
+  useEffect(() => {
+    post({ type: 'renderer', renderer });
+  }, [renderer]);
 
-  estimateBodyHeight(kp) {
-    if (kp.nose && kp.left_ankle && kp.right_ankle) {
-      const avgAnkle = (kp.left_ankle.y + kp.right_ankle.y) / 2;
-      return Math.abs(avgAnkle - kp.nose.y);
-    }
-    return 400;
-  }
-}
+  useEffect(() => {
+    post({ type: 'configure', settings: { userHeight } });
+  }, [userHeight]);
 
-// Advanced 3D Clothing Renderer
-class Clothing3DRenderer {
-  renderClothing(ctx, frontImg, backImg, bodyMesh, clothingType) {
-    if (!frontImg || !bodyMesh) return;
-
-    const { orientation } = bodyMesh;
-    const activeImg = (orientation === 'back' && backImg) ? backImg : frontImg;
-
-    ctx.save();
-    ctx.globalCompositeOperation = 'source-over';
-
-    switch (clothingType) {
-      case "shirt":
-      case "jacket":
-        this.renderShirt3D(ctx, activeImg, bodyMesh, orientation);
-        break;
-      case "dress":
-        this.renderDress3D(ctx, activeImg, bodyMesh, orientation);
-        break;
-      case "pants":
-        this.renderPants3D(ctx, activeImg, bodyMesh, orientation);
-        break;
-    }
+  useEffect(() => {
+    post({ type: 'configure', settings: { circumferences, scaleCalibration } });
+  }, [circumferences, scaleCalibration]);
 
-    ctx.restore();
-  }
+  useEffect(() => {
+    const smoothingParams = smoothing === 'kalman'
+      ? { processNoise, measurementNoise }
+      : { minCutoff, beta, derivativeCutoff };
+    post({ type: 'configure', settings: { smoothing, smoothingParams } });
+  }, [smoothing, minCutoff, beta, derivativeCutoff, processNoise, measurementNoise]);
 
-  renderShirt3D(ctx, img, mesh, orientation) {
-    const { shoulders, chest, waist, hips, arms } = mesh;
-    if (!shoulders || !hips) return;
-
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
-    ctx.shadowBlur = 20;
-    ctx.shadowOffsetX = 4;
-    ctx.shadowOffsetY = 4;
-
-    // Calculate torso dimensions
-    const shoulderWidth = Math.abs(shoulders.right.x - shoulders.left.x);
-    const torsoHeight = Math.abs(hips.center.y - shoulders.center.y);
-    
-    // Create mesh grid for realistic cloth draping
-    const meshGrid = this.createClothMeshGrid(mesh, img, 'torso');
-    
-    // Draw torso with proper body wrapping
-    ctx.globalAlpha = 0.93;
-    this.drawWarpedMesh(ctx, img, meshGrid);
-
-    // Draw sleeves with 3D wrapping
-    if (arms.left && arms.left.elbow && arms.left.wrist) {
-      this.renderSleeve3D(ctx, img, arms.left, 'left', shoulderWidth, orientation);
-    }
-    if (arms.right && arms.right.elbow && arms.right.wrist) {
-      this.renderSleeve3D(ctx, img, arms.right, 'right', shoulderWidth, orientation);
-    }
+  useEffect(() => {
+    post({ type: 'configure', settings: { clothPhysics, lightingMatch, coaching, showKeypoints, occlusion } });
+  }, [clothPhysics, lightingMatch, coaching, showKeypoints, occlusion]);
 
-    // Add realistic shading based on body curves
-    this.addBodyShading(ctx, mesh, orientation);
-  }
+  useEffect(() => {
+    post({ type: 'configure', settings: { personHeights, hiddenGarments } });
+  }, [personHeights, hiddenGarments]);
 
-  createClothMeshGrid(mesh, img, section) {
-    const grid = { points: [], uvs: [] };
-    const { shoulders, chest, waist, hips } = mesh;
+  useEffect(() => {
+    let cancelled = false;
+    toPipelineLayers(layers).then((pipelineLayers) => {
+      if (!cancelled) post({ type: 'layers', layers: pipelineLayers });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [layers]);
 
-    if (section === 'torso' && shoulders && hips) {
-      // Create a 4x4 grid for smooth deformation
-      const rows = 5;
-      const cols = 3;
-      
-      for (let row = 0; row < rows; row++) {
-        for (let col = 0; col < cols; col++) {
-          const t = row / (rows - 1); // 0 to 1 vertical
-          const s = col / (cols - 1); // 0 to 1 horizontal
-          
-          // Interpolate body points
-          let leftX, rightX, y;
-          
-          if (t < 0.33) {
-            // Shoulder to chest
-            const localT = t / 0.33;
-            leftX = shoulders.left.x * (1 - localT) + (chest?.left.x || shoulders.left.x) * localT;
-            rightX = shoulders.right.x * (1 - localT) + (chest?.right.x || shoulders.right.x) * localT;
-            y = shoulders.center.y * (1 - localT) + (chest?.center.y || (shoulders.center.y + 30)) * localT;
-          } else if (t < 0.66) {
-            // Chest to waist
-            const localT = (t - 0.33) / 0.33;
-            leftX = (chest?.left.x || shoulders.left.x) * (1 - localT) + (waist?.left.x || shoulders.left.x) * localT;
-            rightX = (chest?.right.x || shoulders.right.x) * (1 - localT) + (waist?.right.x || shoulders.right.x) * localT;
-            y = (chest?.center.y || shoulders.center.y + 30) * (1 - localT) + (waist?.center.y || hips.center.y - 30) * localT;
-          } else {
-            // Waist to hip
-            const localT = (t - 0.66) / 0.34;
-            leftX = (waist?.left.x || shoulders.left.x) * (1 - localT) + hips.left.x * localT;
-            rightX = (waist?.right.x || shoulders.right.x) * (1 - localT) + hips.right.x * localT;
-            y = (waist?.center.y || hips.center.y - 30) * (1 - localT) + hips.center.y * localT;
-          }
-          
-          const x = leftX * (1 - s) + rightX * s;
-          
-          // Add slight curve for body roundness
-          const curveFactor = Math.sin(s * Math.PI) * 8;
-          
-          grid.points.push({ x: x + curveFactor, y });
-          grid.uvs.push({ u: s, v: t });
-        }
-      }
+  const setupCamera = async () => {
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        video: { width: 640, height: 480, facingMode: 'user' },
+      });
+    } catch (error) {
+      console.error('Camera error:', error);
+      return null;
     }
+  };
 
-    return grid;
-  }
-
-  drawWarpedMesh(ctx, img, grid) {
-    if (!grid.points || grid.points.length < 4) return;
-
-    const cols = 3;
-    const rows = Math.floor(grid.points.length / cols);
-
-    for (let row = 0; row < rows - 1; row++) {
-      for (let col = 0; col < cols - 1; col++) {
-        const idx = row * cols + col;
-        
-        const p1 = grid.points[idx];
-        const p2 = grid.points[idx + 1];
-        const p3 = grid.points[idx + cols + 1];
-        const p4 = grid.points[idx + cols];
-        
-        const uv1 = grid.uvs[idx];
-        const uv2 = grid.uvs[idx + 1];
-        const uv3 = grid.uvs[idx + cols + 1];
-        const uv4 = grid.uvs[idx + cols];
-        
-        // Draw textured quad
-        this.drawTexturedQuad(ctx, img, p1, p2, p3, p4, uv1, uv2, uv3, uv4);
-      }
-    }
-  }
+  const togglePlayback = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    setVideoError(null);
+    if (video.paused) playVideo(video, setVideoError);
+    else video.pause();
+  };
 
-  drawTexturedQuad(ctx, img, p1, p2, p3, p4, uv1, uv2, uv3, uv4) {
-    try {
-      const centerX = (p1.x + p2.x + p3.x + p4.x) / 4;
-      const centerY = (p1.y + p2.y + p3.y + p4.y) / 4;
-      const width = Math.max(Math.abs(p2.x - p1.x), Math.abs(p3.x - p4.x));
-      const height = Math.abs(p3.y - p1.y);
-      const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
-
-      ctx.save();
-      ctx.translate(centerX, centerY);
-      ctx.rotate(angle);
-      
-      ctx.drawImage(img,
-        uv1.u * img.width, uv1.v * img.height,
-        (uv2.u - uv1.u) * img.width, (uv4.v - uv1.v) * img.height,
-        -width/2, -height/2, width, height
-      );
-      
-      ctx.restore();
-    } catch (e) {
-      // Silent fail for edge cases
-    }
-  }
+  const handleScrub = (e) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = Number(e.target.value);
+    setPlayback((prev) => ({ ...prev, time: video.currentTime }));
+  };
 
-  renderSleeve3D(ctx, img, arm, side, shoulderWidth, orientation) {
-    if (!arm.shoulder || !arm.elbow || !arm.wrist) return;
-
-    const sleeveWidth = shoulderWidth * 0.32;
-    
-    // Upper arm
-    const upperArmAngle = Math.atan2(arm.elbow.y - arm.shoulder.y, arm.elbow.x - arm.shoulder.x);
-    const upperArmLength = Math.hypot(arm.elbow.x - arm.shoulder.x, arm.elbow.y - arm.shoulder.y);
-    
-    ctx.save();
-    ctx.translate(arm.shoulder.x, arm.shoulder.y);
-    ctx.rotate(upperArmAngle);
-    ctx.globalAlpha = 0.90;
-    ctx.shadowBlur = 15;
-    
-    const sleeveX = side === 'left' ? 0 : img.width * 0.75;
-    const sleeveW = img.width * 0.25;
-    
-    // Add cylindrical wrapping effect
-    this.drawCylindricalSleeve(ctx, img, sleeveX, 0, sleeveW, img.height * 0.5, 
-                                 0, -sleeveWidth/2, upperArmLength * 0.92, sleeveWidth);
-    
-    ctx.restore();
-
-    // Forearm
-    const forearmAngle = Math.atan2(arm.wrist.y - arm.elbow.y, arm.wrist.x - arm.elbow.x);
-    const forearmLength = Math.hypot(arm.wrist.x - arm.elbow.x, arm.wrist.y - arm.elbow.y);
-    
-    ctx.save();
-    ctx.translate(arm.elbow.x, arm.elbow.y);
-    ctx.rotate(forearmAngle);
-    ctx.globalAlpha = 0.88;
-    
-    this.drawCylindricalSleeve(ctx, img, sleeveX, img.height * 0.5, sleeveW, img.height * 0.35,
-                                 0, -sleeveWidth * 0.75/2, forearmLength * 0.88, sleeveWidth * 0.75);
-    
-    ctx.restore();
-  }
+  const isSourceReady = () => {
+    const video = videoRef.current;
+    // A paused or scrubbed clip only guarantees the current frame
+    return !!video && video.readyState >= (fileSourceRef.current ? 2 : 4);
+  };
 
-  drawCylindricalSleeve(ctx, img, sx, sy, sw, sh, dx, dy, dw, dh) {
-    // Draw with subtle perspective to simulate cylindrical wrapping
-    ctx.save();
-    
-    // Main sleeve
-    ctx.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh);
-    
-    // Add highlight on top edge
-    ctx.globalAlpha = 0.3;
-    ctx.fillStyle = 'white';
-    ctx.fillRect(dx, dy, dw, dh * 0.15);
-    
-    // Add shadow on bottom edge
-    ctx.globalAlpha = 0.2;
-    ctx.fillStyle = 'black';
-    ctx.fillRect(dx, dy + dh * 0.85, dw, dh * 0.15);
-    
-    ctx.restore();
-  }
+  // Detection, segmentation and drawing all work on a 640×480 frame. The
+  // camera is requested at that size; video files are letterboxed into it so
+  // their aspect ratio is kept.
+  const getFrameSource = () => {
+    const video = videoRef.current;
+    if (!fileSourceRef.current) return video;
+
+    const frame = getLayer(frameLayerRef);
+    const ctx = frame.getContext('2d');
+    const scale = Math.min(frame.width / video.videoWidth, frame.height / video.videoHeight);
+    const width = video.videoWidth * scale;
+    const height = video.videoHeight * scale;
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, frame.width, frame.height);
+    ctx.drawImage(video, (frame.width - width) / 2, (frame.height - height) / 2, width, height);
+    return frame;
+  };
 
-  renderDress3D(ctx, img, mesh, orientation) {
-    const { shoulders, hips, legs } = mesh;
-    if (!shoulders || !legs) return;
-
-    const shoulderWidth = Math.abs(shoulders.right.x - shoulders.left.x);
-    const centerX = shoulders.center.x;
-    const topY = shoulders.center.y;
-    
-    let bottomY = topY + shoulderWidth * 2.5;
-    if (legs.left?.knee && legs.right?.knee) {
-      bottomY = (legs.left.knee.y + legs.right.knee.y) / 2 * 0.98;
+  const getLayer = (layerRef) => {
+    if (!layerRef.current) {
+      layerRef.current = document.createElement('canvas');
+      layerRef.current.width = 640;
+      layerRef.current.height = 480;
     }
-    
-    const dressHeight = bottomY - topY;
-    const topWidth = shoulderWidth * 1.45;
-    const bottomWidth = shoulderWidth * 1.85;
-    
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
-    ctx.shadowBlur = 22;
-    ctx.shadowOffsetX = 5;
-    ctx.shadowOffsetY = 5;
-    ctx.globalAlpha = 0.93;
-    
-    // Create flowing dress mesh
-    const dressGrid = this.createDressMeshGrid(mesh, topWidth, bottomWidth, dressHeight);
-    this.drawWarpedMesh(ctx, img, dressGrid);
-    
-    this.addBodyShading(ctx, mesh, orientation);
-  }
+    return layerRef.current;
+  };
 
-  createDressMeshGrid(mesh, topWidth, bottomWidth, height) {
-    const grid = { points: [], uvs: [] };
-    const { shoulders } = mesh;
-    const centerX = shoulders.center.x;
-    const topY = shoulders.center.y;
-    
-    const rows = 6;
-    const cols = 4;
-    
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        const t = row / (rows - 1);
-        const s = col / (cols - 1);
-        
-        // Interpolate width (flare out)
-        const currentWidth = topWidth * (1 - t) + bottomWidth * t;
-        const y = topY + height * t;
-        
-        // Create curved shape
-        const xOffset = (s - 0.5) * currentWidth;
-        const curveFactor = Math.sin(s * Math.PI) * 12 * t;
-        const x = centerX + xOffset + curveFactor;
-        
-        grid.points.push({ x, y });
-        grid.uvs.push({ u: s, v: t });
-      }
+  const startCalibration = () => {
+    if (!isSourceReady()) return;
+    setCalibrationFrame({ source: getFrameSource(), keypoints: latestKeypointsRef.current });
+  };
+
+  const handleCalibrate = ({ pixelsPerCm, objectType }) => {
+    const kp = {};
+    (calibrationFrame?.keypoints || []).forEach(k => {
+      if (k.score > 0.3) kp[k.name] = k;
+    });
+    const torsoLength = new BodyMesh3D(userHeight || 170).measureTorsoLength(kp);
+    if (torsoLength) {
+      setScaleCalibration({ torsoLengthCm: torsoLength / pixelsPerCm, objectType });
+    } else {
+      alert("Shoulders and hips must be visible while calibrating.");
     }
-    
-    return grid;
-  }
+    setCalibrationFrame(null);
+  };
 
-  renderPants3D(ctx, img, mesh, orientation) {
-    const { hips, legs } = mesh;
-    if (!hips || !legs.left || !legs.right) return;
+  // Guided capture (front widths, then side depths) runs in the pipeline,
+  // which reports progress and finally the circumferences
+  // The body outline comes from the segmenter, which is started for the
+  // capture if occlusion has not already started it
+  const startCapture = () => {
+    const generation = ++captureGenerationRef.current;
+    post({ type: 'startCapture', generation });
+    setCapture({ phase: 'front', front: 0, side: 0, generation });
+  };
 
-    const hipWidth = Math.abs(hips.right.x - hips.left.x);
-    
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.25)';
-    ctx.shadowBlur = 15;
-    ctx.globalAlpha = 0.91;
+  const cancelCapture = () => {
+    captureGenerationRef.current++;
+    post({ type: 'cancelCapture' });
+    setCapture(null);
+  };
 
-    // Left leg with 3D mesh
-    if (legs.left.hip && legs.left.ankle) {
-      const leftGrid = this.createPantLegMesh(legs.left, hipWidth, 'left');
-      this.drawWarpedMesh(ctx, img, leftGrid);
-    }
-    
-    // Right leg with 3D mesh
-    if (legs.right.hip && legs.right.ankle) {
-      const rightGrid = this.createPantLegMesh(legs.right, hipWidth, 'right');
-      this.drawWarpedMesh(ctx, img, rightGrid);
+  const startRecording = () => {
+    if (!isSourceReady()) return;
+    const source = getFrameSource();
+
+    let background = null;
+    if (includeBackground) {
+      const frame = document.createElement('canvas');
+      frame.width = 640;
+      frame.height = 480;
+      frame.getContext('2d').drawImage(source, 0, 0, 640, 480);
+      background = frame.toDataURL('image/jpeg', 0.85);
     }
-    
-    this.addBodyShading(ctx, mesh, orientation);
-  }
 
-  createPantLegMesh(leg, hipWidth, side) {
-    const grid = { points: [], uvs: [] };
-    const legWidth = hipWidth * 0.54;
-    
-    const rows = 5;
-    const cols = 3;
-    
-    const hipY = leg.hip.y;
-    const kneeY = leg.knee?.y || (leg.hip.y + leg.ankle.y) / 2;
-    const ankleY = leg.ankle.y;
-    
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        const t = row / (rows - 1);
-        const s = col / (cols - 1);
-        
-        let y, currentWidth;
-        
-        if (t < 0.5) {
-          // Hip to knee
-          const localT = t / 0.5;
-          y = hipY * (1 - localT) + kneeY * localT;
-          currentWidth = legWidth * (1 - localT * 0.15);
-        } else {
-          // Knee to ankle
-          const localT = (t - 0.5) / 0.5;
-          y = kneeY * (1 - localT) + ankleY * localT;
-          currentWidth = legWidth * 0.85 * (1 - localT * 0.2);
-        }
-        
-        const centerX = leg.hip.x;
-        const xOffset = (s - 0.5) * currentWidth;
-        const curveFactor = Math.sin(s * Math.PI) * 6;
-        const x = centerX + xOffset + curveFactor;
-        
-        grid.points.push({ x, y });
-        grid.uvs.push({ u: side === 'left' ? s * 0.5 : 0.5 + s * 0.5, v: t });
+    // Keypoints are in the 640×480 detection frame, whatever the source size
+    post({
+      type: 'startRecording',
+      generation: ++recordingGenerationRef.current,
+      meta: {
+        width: FRAME_WIDTH,
+        height: FRAME_HEIGHT,
+        model: POSE_MODELS[poseModel].label,
+        background
       }
-    }
-    
-    return grid;
-  }
+    });
+    setRecordedFrames(0);
+  };
 
-  addBodyShading(ctx, mesh, orientation) {
-    // Add realistic shading for body curves
-    const { shoulders, hips } = mesh;
-    if (!shoulders || !hips) return;
+  const stopRecording = () => {
+    recordingGenerationRef.current++;
+    post({ type: 'stopRecording' });
+    setRecordedFrames(null);
+  };
 
-    ctx.save();
-    ctx.globalCompositeOperation = 'multiply';
-    ctx.globalAlpha = 0.15;
+  const saveSession = (session) => {
+    if (!session || session.frames.length === 0) return;
 
-    // Left side shading
-    const leftGradient = ctx.createLinearGradient(
-      shoulders.left.x - 30, shoulders.center.y,
-      shoulders.left.x + 30, shoulders.center.y
+    downloadBlob(
+      new Blob([serializeSession(session)], { type: 'application/json' }),
+      `pose-session-${session.createdAt.replace(/[:.]/g, '-')}.json`
     );
-    leftGradient.addColorStop(0, 'rgba(0, 0, 0, 0.4)');
-    leftGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-    
-    ctx.fillStyle = leftGradient;
-    ctx.fillRect(shoulders.left.x - 30, shoulders.center.y, 60, hips.center.y - shoulders.center.y);
-
-    // Right side shading
-    const rightGradient = ctx.createLinearGradient(
-      shoulders.right.x + 30, shoulders.center.y,
-      shoulders.right.x - 30, shoulders.center.y
-    );
-    rightGradient.addColorStop(0, 'rgba(0, 0, 0, 0.4)');
-    rightGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-    
-    ctx.fillStyle = rightGradient;
-    ctx.fillRect(shoulders.right.x - 30, shoulders.center.y, 60, hips.center.y - shoulders.center.y);
-
-    ctx.restore();
-  }
-}
+  };
 
-// Main Component
-function VirtualTryOn3D({ frontClothing, backClothing, clothingType, userHeight }) {
-  const videoRef = useRef(null);
-  const canvasRef = useRef(null);
-  const [detector, setDetector] = useState(null);
-  const [isReady, setIsReady] = useState(false);
-  const [processedFront, setProcessedFront] = useState(null);
-  const [processedBack, setProcessedBack] = useState(null);
-  const bodyMeshBuilderRef = useRef(null);
-  const clothingRendererRef = useRef(null);
-  const [bodyMesh, setBodyMesh] = useState(null);
-  const [isProcessing, setIsProcessing] = useState(false);
+  const toggleKeypoints = () => {
+    setShowKeypoints(!showKeypoints);
+  };
 
-  useEffect(() => {
-    bodyMeshBuilderRef.current = new BodyMesh3D(userHeight || 170);
-    clothingRendererRef.current = new Clothing3DRenderer();
-  }, [userHeight]);
+  const getSnapshotMetadata = () => {
+    const m = multiPerson ? null : bodyMesh?.measurements;
+    const round = (value) => Math.round(value * 10) / 10;
+    return {
+      capturedAt: new Date().toISOString(),
+      garments: sortLayers(layers.filter(layer => layer.visible)).map(layer => ({
+        name: layer.name,
+        clothingType: layer.clothingType,
+        zIndex: layer.zIndex,
+        backView: !!layer.backImg,
+        sideView: !!layer.sideImg,
+        anchored: !!layer.frontAnchors,
+        tucked: layer.tucked
+      })),
+      measurements: m ? {
+        orientation: bodyMesh.orientation,
+        yaw: bodyMesh.yaw !== null ? Math.round(bodyMesh.yaw) : null,
+        heightCm: userHeight || null,
+        shoulderWidth: round(m.shoulderWidth),
+        chest: round(m.chest),
+        waist: round(m.waist),
+        hip: round(m.hip),
+        measured: m.measured,
+        calibrated: m.calibrated
+      } : null,
+      sizeRecommendation: sizeRecommendation ? {
+        chart: sizeChart.name,
+        best: sizeRecommendation.best.size,
+        runnerUp: sizeRecommendation.runnerUp?.size ?? null,
+        shouldersOnly: sizeRecommendation.shouldersOnly
+      } : null,
+      people: multiPerson ? people.filter(({ mesh }) => mesh).map(({ slot, mesh }) => ({
+        person: slot,
+        orientation: mesh.orientation,
+        heightCm: personHeights[slot] >= 100 ? personHeights[slot] : userHeight || null,
+        chest: round(mesh.measurements.chest),
+        waist: round(mesh.measurements.waist),
+        hip: round(mesh.measurements.hip),
+        estimated: true,
+        garments: layers.filter(layer => !(hiddenGarments[slot] || []).includes(layer.id)).map(layer => layer.name)
+      })) : undefined
+    };
+  };
 
-  useEffect(() => {
-    if (frontClothing) {
-      setIsProcessing(true);
-      const img = new Image();
-      img.crossOrigin = "anonymous";
-      img.onload = async () => {
-        const processed = await ClothingProcessor.removeBackground(img);
-        setProcessedFront(processed);
-        setIsProcessing(false);
-      };
-      img.src = frontClothing;
+  const getCaptionLines = (metadata) => {
+    const lines = [metadata.garments.map(g => `${g.name} (${g.clothingType})`).join(' + ') || 'No garment'];
+    const m = metadata.measurements;
+    if (m) {
+      lines.push(
+        `Chest ${m.chest} cm • Waist ${m.waist} cm • Hip ${m.hip} cm • Shoulders ${m.shoulderWidth} cm` +
+        (m.measured ? ' (measured)' : ' (estimated)')
+      );
+    }
+    metadata.people?.forEach((person) => {
+      lines.push(
+        `Person ${person.person}: Chest ${person.chest} cm • Waist ${person.waist} cm • Hip ${person.hip} cm (estimated)`
+      );
+    });
+    if (metadata.sizeRecommendation) {
+      lines.push(`Recommended size: ${metadata.sizeRecommendation.best} (${metadata.sizeRecommendation.chart})`);
     }
-  }, [frontClothing]);
+    lines.push(new Date(metadata.capturedAt).toLocaleString());
+    return lines;
+  };
 
-  useEffect(() => {
-    if (backClothing) {
-      const img = new Image();
-      img.crossOrigin = "anonymous";
-      img.onload = async () => {
-        const processed = await ClothingProcessor.removeBackground(img);
-        setProcessedBack(processed);
-      };
-      img.src = backClothing;
+  // The canvas belongs to the pipeline, which sends back a copy of its frame
+  const grabFrame = () => new Promise((resolve, reject) => {
+    if (!pipelineRef.current) {
+      reject(new Error('Try-on pipeline is not running'));
+      return;
     }
-  }, [backClothing]);
+    snapshotRef.current = { resolve, reject };
+    post({ type: 'snapshot' });
+  });
 
-  const initTensorFlow = async () => {
+  const takeSnapshot = async () => {
+    let frame;
     try {
-      await tf.ready();
-      await tf.setBackend('webgl');
-      setIsReady(true);
+      frame = await grabFrame();
     } catch (error) {
-      console.error('TensorFlow error:', error);
+      alert(`Could not take snapshot: ${error.message}`);
+      return;
+    }
+    const baseName = `try-on-${fileTimestamp()}`;
+    const metadata = getSnapshotMetadata();
+    let output;
+    if (snapshotDetails === 'caption') {
+      output = drawCaptionedSnapshot(frame, getCaptionLines(metadata));
+    } else {
+      output = document.createElement('canvas');
+      output.width = frame.width;
+      output.height = frame.height;
+      output.getContext('2d').drawImage(frame, 0, 0);
+    }
+    frame.close();
+
+    output.toBlob((blob) => {
+      if (blob) downloadBlob(blob, `${baseName}.png`);
+    }, 'image/png');
+    if (snapshotDetails === 'sidecar') {
+      downloadBlob(
+        new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' }),
+        `${baseName}.json`
+      );
     }
   };
 
-  const setupCamera = async () => {
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { width: 640, height: 480, facingMode: 'user' },
-      });
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        videoRef.current.onloadedmetadata = () => {
-          videoRef.current.play();
-        };
+  // Records the composited canvas for clipSeconds (or until stopped). A
+  // worker's canvas is recorded from a mirror the worker keeps drawing into.
+  const startClipRecording = () => {
+    const inWorker = !!pipelineRef.current?.inWorker;
+    let canvas = canvasRef.current;
+    if (inWorker) {
+      canvas = document.createElement('canvas');
+      canvas.width = FRAME_WIDTH;
+      canvas.height = FRAME_HEIGHT;
+    }
+    if (!canvas.captureStream || typeof MediaRecorder === 'undefined') {
+      alert("Video recording is not supported in this browser.");
+      return;
+    }
+
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    const stream = canvas.captureStream(30);
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    let remaining = clipSeconds;
+
+    const timer = setInterval(() => {
+      remaining--;
+      setClipRemaining(remaining);
+      if (remaining <= 0) recorder.stop();
+    }, 1000);
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      clearInterval(timer);
+      if (inWorker) {
+        post({ type: 'stopMirror' });
+        mirrorCanvasRef.current = null;
       }
-    } catch (error) {
-      console.error('Camera error:', error);
+      stream.getTracks().forEach(track => track.stop());
+      clipRecorderRef.current = null;
+      setClipRemaining(null);
+      downloadBlob(new Blob(chunks, { type: 'video/webm' }), `try-on-${fileTimestamp()}.webm`);
+    };
+
+    if (inWorker) {
+      mirrorCanvasRef.current = canvas;
+      post({ type: 'startMirror' });
     }
+    recorder.start(1000);
+    clipRecorderRef.current = recorder;
+    setClipRemaining(remaining);
   };
 
-  const initDetector = async () => {
-    if (!isReady) return;
-    
+  const stopClipRecording = () => {
+    const recorder = clipRecorderRef.current;
+    if (recorder && recorder.state !== 'inactive') recorder.stop();
+  };
+
+  const handleSessionUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const session = parseSession(event.target.result);
+        replayRef.current = session;
+        setReplaySession(session);
+      } catch (error) {
+        alert(`Could not load session: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const exitReplay = () => {
+    replayRef.current = null;
+    setReplaySession(null);
+    post({ type: 'replayEnd' });
+  };
+
+  // Hands the current frame (and person mask) to the pipeline and waits
+  // until it has been drawn, so frames never queue up behind a slow detector.
+  // Segmentation stays here: MediaPipe cannot run in a module worker.
+  const sendFrame = async () => {
+    if (replayRef.current || !pipelineRef.current || !isSourceReady()) return;
+
     try {
-      const poseDetector = await posedetection.createDetector(
-        posedetection.SupportedModels.MoveNet,
-        { modelType: posedetection.movenet.modelType.SINGLEPOSE_LIGHTNING }
-      );
-      setDetector(poseDetector);
+      const source = getFrameSource();
+      const frame = await createImageBitmap(source);
+      const personMask = (occlusion || capture) && segmenterRef.current
+        ? await segmenterRef.current.segment(source)
+        : null;
+      const mask = personMask ? await createImageBitmap(personMask) : null;
+
+      const drawn = new Promise((resolve) => {
+        frameDoneRef.current = resolve;
+      });
+      post({ type: 'frame', frame, mask }, mask ? [frame, mask] : [frame]);
+      await drawn;
     } catch (error) {
-      console.error('Detector error:', error);
+      console.error('Frame error:', error);
     }
   };
 
-  const detectAndRender = async () => {
-    if (!detector || !videoRef.current || videoRef.current.readyState !== 4) {
-      requestAnimationFrame(detectAndRender);
-      return;
+  // The frame loop outlives renders; it always calls the latest sendFrame so
+  // props like occlusion take effect straight away
+  const sendFrameRef = useRef(sendFrame);
+  useEffect(() => {
+    sendFrameRef.current = sendFrame;
+  });
+
+  // Replay: recorded frames are sent in order with their recorded
+  // timestamps, so a session always produces the same frames; wall-clock
+  // time only decides which frame is on screen
+  useEffect(() => {
+    if (!replaySession) return;
+
+    const player = new PoseSessionPlayer(replaySession, FRAME_WIDTH, FRAME_HEIGHT);
+    let frameIndex = -1;
+    let startTime = null;
+    let restart = true;
+    let rafId = null;
+    let cancelled = false;
+
+    const step = (now) => {
+      if (cancelled) return;
+      if (startTime === null) startTime = now;
+
+      let target = player.indexAt(now - startTime);
+      if (now - startTime > player.duration) {
+        // Loop from a clean filter state
+        startTime = now;
+        frameIndex = -1;
+        restart = true;
+        target = 0;
+      }
+
+      const frames = [];
+      while (frameIndex < target) {
+        frameIndex++;
+        frames.push(player.frames[frameIndex]);
+      }
+      if (frames.length > 0) {
+        post({ type: 'replay', frames, restart });
+        restart = false;
+        setReplayProgress(frameIndex / Math.max(player.frames.length - 1, 1));
+      }
+
+      rafId = requestAnimationFrame(step);
+    };
+
+    const start = (background) => {
+      if (cancelled) {
+        background?.close();
+        return;
+      }
+      post({ type: 'replayBackground', image: background }, background ? [background] : []);
+      rafId = requestAnimationFrame(step);
+    };
+
+    if (replayBackground === 'captured' && replaySession.background) {
+      const img = new Image();
+      img.onload = () => createImageBitmap(img).then(start);
+      img.src = replaySession.background;
+    } else {
+      start(null);
     }
 
-    try {
-      const poses = await detector.estimatePoses(videoRef.current);
-      
-      if (poses && poses[0]) {
-        const pose = poses[0];
-        const mesh = bodyMeshBuilderRef.current?.buildBodyMesh(pose.keypoints);
-        
-        if (mesh) {
-          setBodyMesh(mesh);
-        }
-
-        const ctx = canvasRef.current.getContext("2d");
-        ctx.clearRect(0, 0, 640, 480);
-        ctx.drawImage(videoRef.current, 0, 0, 640, 480);
-
-        // Render 3D clothing with proper body wrapping
-        if (processedFront && clothingType && mesh) {
-          clothingRendererRef.current?.renderClothing(
-            ctx, 
-            processedFront,
-            processedBack,
-            mesh, 
-            clothingType
-          );
-        }
-
-        // Draw minimal keypoints
-        pose.keypoints.forEach((kp) => {
-          if (kp.score > 0.4) {
-            ctx.beginPath();
-            ctx.arc(kp.x, kp.y, 2, 0, 2 * Math.PI);
-            ctx.fillStyle = "rgba(0, 255, 0, 0.5)";
-            ctx.fill();
-          }
-        });
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(rafId);
+    };
+  }, [replaySession, replayBackground]);
+
+  // Occlusion and the measurement capture both need person masks. The
+  // segmenter is created the first time either asks and kept until unmount.
+  const needsSegmenter = occlusion || !!capture;
+  useEffect(() => {
+    if (!isReady || !needsSegmenter || segmenterRef.current) return;
+    let cancelled = false;
+
+    setSegmenterStatus('loading');
+    const segmenter = new PersonSegmenter(640, 480);
+    segmenter.init().then(() => {
+      if (cancelled) {
+        segmenter.close();
+        setSegmenterStatus('idle');
+        return;
       }
-    } catch (error) {
-      console.error('Detection error:', error);
+      segmenterRef.current = segmenter;
+      setSegmenterStatus('ready');
+    }).catch((error) => {
+      console.error('Segmentation error:', error);
+      if (!cancelled) setSegmenterStatus('error');
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isReady, needsSegmenter]);
+
+  useEffect(() => {
+    if (!isReady) return;
+    setLatency(null);
+    setPeople([]);
+    setGuidance(null);
+    setDetectorError(null);
+    post({ type: 'poseModel', poseModel });
+    return () => setDetectorReady(false);
+  }, [isReady, poseModel]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!isReady || !video) return;
+
+    fileSourceRef.current = !!videoFile;
+    post({ type: 'resetSmoothing' });
+    setVideoError(null);
+    if (videoFile) {
+      return attachVideoFile(video, videoFile, {
+        onPlayback: setPlayback,
+        onPlayError: setVideoError,
+        // A jump in the clip would otherwise be smoothed into a slide
+        onSeeked: () => pipelineRef.current?.post({ type: 'resetSmoothing' })
+      });
     }
 
-    requestAnimationFrame(detectAndRender);
-  };
+    let stream = null;
+    let cancelled = false;
+    setupCamera().then((cameraStream) => {
+      stream = cameraStream;
+      if (!stream) return;
+      if (cancelled) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      video.srcObject = stream;
+      video.onloadedmetadata = () => {
+        playVideo(video, setVideoError);
+      };
+    });
+
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach(track => track.stop());
+      video.srcObject = null;
+    };
+  }, [isReady, videoFile]);
 
   useEffect(() => {
-    initTensorFlow();
+    return () => segmenterRef.current?.close();
   }, []);
 
   useEffect(() => {
-    if (isReady) {
-      setupCamera();
-      initDetector();
-    }
-  }, [isReady]);
+    return () => {
+      const recorder = clipRecorderRef.current;
+      if (recorder && recorder.state !== 'inactive') {
+        // Unmounting discards the clip rather than downloading it
+        recorder.onstop = null;
+        recorder.stop();
+      }
+    };
+  }, []);
 
   useEffect(() => {
-    if (detector) {
-      detectAndRender();
+    if (!detectorReady) return;
+    let cancelled = false;
+
+    const loop = async () => {
+      await sendFrameRef.current();
+      if (!cancelled) requestAnimationFrame(loop);
+    };
+    loop();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [detectorReady]);
+
+  return (
+    <div>
+      <div className="relative">
+        <video
+          ref={videoRef}
+          width="640"
+          height="480"
+          style={{ display: "none" }}
+          muted
+          playsInline
+        />
+        <div ref={stageRef} />
+      
+        {isProcessing && (
+          <div className="absolute top-4 left-4 bg-yellow-500 text-white px-4 py-2 rounded-lg font-bold animate-pulse">
+            🔄 Processing clothing...
+          </div>
+        )}
+
+        {videoError && (
+          <div className="absolute bottom-16 left-1/2 -translate-x-1/2 bg-red-600 text-white px-4 py-2 rounded-lg text-sm font-bold max-w-md text-center">
+            ⚠️ {videoError}
+          </div>
+        )}
+
+        {detectorError && (
+          <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-red-600 text-white px-4 py-2 rounded-lg text-sm font-bold max-w-md text-center">
+            ⚠️ Could not load the {POSE_MODELS[poseModel]?.label || poseModel} pose model: {detectorError}
+          </div>
+        )}
+
+        <div className="absolute top-16 left-4 flex flex-col items-start gap-2 text-xs">
+          {replaySession ? (
+            <div className="bg-black/80 text-white px-3 py-2 rounded-lg backdrop-blur-sm space-y-2">
+              <div className="font-bold">▶️ Replaying session • {replaySession.frames.length} frames</div>
+              <div className="w-40 h-1.5 bg-white/20 rounded-full overflow-hidden">
+                <div className="h-full bg-green-400" style={{ width: `${replayProgress * 100}%` }} />
+              </div>
+              <div className="flex gap-2">
+                {replaySession.background && (
+                  <button
+                    onClick={() => setReplayBackground(replayBackground === 'captured' ? 'plain' : 'captured')}
+                    className="underline text-gray-300 hover:text-white"
+                  >
+                    {replayBackground === 'captured' ? 'Plain background' : 'Captured background'}
+                  </button>
+                )}
+                <button onClick={exitReplay} className="underline text-gray-300 hover:text-white">
+                  ⏹ Exit replay
+                </button>
+              </div>
+            </div>
+          ) : recordedFrames !== null ? (
+            <button
+              onClick={stopRecording}
+              className="bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded-lg font-bold animate-pulse"
+            >
+              ⏹ Stop & save ({recordedFrames} frames)
+            </button>
+          ) : (
+            <div className="flex gap-2">
+              {/* Sessions hold one person's keypoints */}
+              {!multiPerson && (
+                <button
+                  onClick={startRecording}
+                  className="bg-black/70 hover:bg-black/85 text-white px-3 py-2 rounded-lg font-bold backdrop-blur-sm"
+                >
+                  ⏺ Record
+                </button>
+              )}
+              <label className="bg-black/70 hover:bg-black/85 text-white px-3 py-2 rounded-lg font-bold backdrop-blur-sm cursor-pointer">
+                📂 Replay
+                <input type="file" accept=".json,application/json" onChange={handleSessionUpload} className="hidden" />
+              </label>
+              {!multiPerson && (
+                <label className="bg-black/70 text-white px-3 py-2 rounded-lg backdrop-blur-sm flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={includeBackground}
+                    onChange={(e) => setIncludeBackground(e.target.checked)}
+                  />
+                  Save frame
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+
+        {capture ? (
+          <div className="absolute bottom-4 left-1/2 -translate-x-1/2 bg-black/85 text-white px-5 py-3 rounded-xl text-sm text-center backdrop-blur-sm">
+            <div className="font-bold mb-1">
+              {capture.phase === 'front'
+                ? '👤 Step 1/2: Face the camera, arms slightly away from your body'
+                : '↔️ Step 2/2: Turn 90° to show your side'}
+            </div>
+            {segmenterStatus === 'loading' && (
+              <div className="text-xs text-gray-300">⏳ Loading body segmentation...</div>
+            )}
+            {segmenterStatus === 'error' && (
+              <div className="text-xs text-amber-300">⚠️ Body segmentation failed to load, so the outline cannot be measured</div>
+            )}
+            <div className="w-64 h-2 bg-white/20 rounded-full overflow-hidden mx-auto my-2">
+              <div
+                className="h-full bg-green-400 transition-all"
+                style={{ width: `${(capture.phase === 'front' ? capture.front : capture.side) / CAPTURE_SAMPLES * 100}%` }}
+              />
+            </div>
+            <button onClick={cancelCapture} className="text-xs text-gray-300 hover:text-white underline">
+              Cancel
+            </button>
+          </div>
+        ) : !multiPerson && (
+          <div className="absolute bottom-4 left-4 flex gap-2">
+            <button
+              onClick={startCapture}
+              className="bg-black/70 hover:bg-black/85 text-white px-3 py-2 rounded-lg text-xs font-bold backdrop-blur-sm"
+            >
+              📏 {circumferences ? 'Re-measure' : 'Measure Body (front + side)'}
+            </button>
+            {circumferences && (
+              <button
+                onClick={() => setCircumferences(null)}
+                className="bg-black/70 hover:bg-black/85 text-white px-3 py-2 rounded-lg text-xs backdrop-blur-sm"
+              >
+                Reset
+              </button>
+            )}
+            <button
+              onClick={startCalibration}
+              className="bg-black/70 hover:bg-black/85 text-white px-3 py-2 rounded-lg text-xs font-bold backdrop-blur-sm"
+            >
+              🪪 {scaleCalibration ? 'Re-calibrate' : 'Calibrate Scale'}
+            </button>
+            {scaleCalibration && (
+              <button
+                onClick={() => setScaleCalibration(null)}
+                className="bg-black/70 hover:bg-black/85 text-white px-3 py-2 rounded-lg text-xs backdrop-blur-sm"
+              >
+                Use Height
+              </button>
+            )}
+          </div>
+        )}
+
+        {!multiPerson && !replaySession && guidance?.prompts.length > 0 && (
+          <div className="absolute bottom-36 left-1/2 -translate-x-1/2 flex flex-col items-center gap-1.5 pointer-events-none">
+            {guidance.prompts.map(prompt => (
+              <div
+                key={prompt.id}
+                className="bg-amber-500/90 text-white px-4 py-2 rounded-lg text-sm font-bold shadow-lg whitespace-nowrap"
+              >
+                {prompt.icon} {prompt.message}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {latency !== null && !replaySession && (
+          <div className="absolute bottom-4 right-4 bg-black/70 text-white px-3 py-1.5 rounded-lg text-xs backdrop-blur-sm tabular-nums">
+            ⚡ {POSE_MODELS[poseModel].label} • {Math.round(latency)} ms
+            {lighting && (
+              <span title="Estimated room light: colour temperature and brightness">
+                {' '}• 💡 {lighting.temperature} K • {Math.round(lighting.brightness * 100)}%
+              </span>
+            )}
+          </div>
+        )}
+
+        {calibrationFrame && (
+          <ScaleCalibration
+            video={calibrationFrame.source}
+            keypoints={calibrationFrame.keypoints}
+            userHeight={userHeight}
+            onCalibrate={handleCalibrate}
+            onCancel={() => setCalibrationFrame(null)}
+          />
+        )}
+      
+        {multiPerson && !replaySession && (
+          <div className="absolute top-4 right-4 space-y-2 max-w-xs max-h-[calc(100%-4rem)] overflow-y-auto">
+            {people.length === 0 && (
+              <div className="bg-black/85 text-white px-3 py-2 rounded-lg text-xs backdrop-blur-sm">
+                👥 Waiting for people...
+              </div>
+            )}
+            {people.map(({ slot, mesh, prompts }) => {
+              const hidden = hiddenGarments[slot] || [];
+              return (
+                <div key={slot} className="bg-black/85 text-white p-3 rounded-lg text-xs backdrop-blur-sm">
+                  <div className="font-bold mb-2 text-sm flex items-center gap-2">
+                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: personColor(slot) }} />
+                    Person {slot}
+                    {mesh && (
+                      <span className={`text-xs px-2 py-0.5 rounded ${
+                        mesh.orientation === 'front' ? 'bg-green-500' :
+                        mesh.orientation === 'back' ? 'bg-blue-500' : 'bg-yellow-500'
+                      }`}>
+                        {mesh.orientation === 'front' ? '👤 Front' :
+                         mesh.orientation === 'back' ? '🔄 Back' : '↔️ Side'}
+                        {mesh.yaw !== null && ` ${Math.round(mesh.yaw)}°`}
+                      </span>
+                    )}
+                  </div>
+                  {prompts?.length > 0 && (
+                    <div className="mb-2 text-amber-300">{prompts[0].icon} {prompts[0].message}</div>
+                  )}
+                  {/* Only shoulder-width ratios: measuring and sizing are single-person */}
+                  {mesh && (
+                    <div className="mb-2">
+                      <div className="flex justify-between gap-3">
+                        <span>Chest <b>~{mesh.measurements.chest.toFixed(0)}</b></span>
+                        <span>Waist <b>~{mesh.measurements.waist.toFixed(0)}</b></span>
+                        <span>Hip <b>~{mesh.measurements.hip.toFixed(0)}</b> cm</span>
+                      </div>
+                      <div className="text-gray-400">Estimated from shoulder width</div>
+                    </div>
+                  )}
+                  <label className="flex items-center justify-between gap-2 mb-2">
+                    Height (cm)
+                    <input
+                      type="number"
+                      min="100"
+                      max="250"
+                      value={personHeights[slot] ?? userHeight ?? ''}
+                      onChange={(e) => setPersonHeights({ ...personHeights, [slot]: Number(e.target.value) || null })}
+                      className="w-16 px-1 py-0.5 rounded bg-white/15 text-white text-right"
+                    />
+                  </label>
+                  {garments.length > 0 && (
+                    <div className="space-y-0.5">
+                      {garments.map(garment => (
+                        <label key={garment.id} className="flex items-center gap-1.5 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={!hidden.includes(garment.id)}
+                            onChange={(e) => setHiddenGarments({
+                              ...hiddenGarments,
+                              [slot]: e.target.checked
+                                ? hidden.filter(id => id !== garment.id)
+                                : [...hidden, garment.id]
+                            })}
+                          />
+                          <span className="truncate">{garment.name}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {!multiPerson && bodyMesh && (
+          <div className="absolute top-4 right-4 bg-black/85 text-white p-3 rounded-lg text-xs backdrop-blur-sm max-w-xs">
+            <div className="font-bold mb-2 text-sm flex items-center gap-2">
+              <span>📐</span> Body Measurements
+              <span className={`text-xs px-2 py-0.5 rounded ${
+                bodyMesh.orientation === 'front' ? 'bg-green-500' : 
+                bodyMesh.orientation === 'back' ? 'bg-blue-500' : 'bg-yellow-500'
+              }`}>
+                {bodyMesh.orientation === 'front' ? '👤 Front' : 
+                 bodyMesh.orientation === 'back' ? '🔄 Back' : '↔️ Side'}
+                {bodyMesh.yaw !== null && ` ${Math.round(bodyMesh.yaw)}°`}
+              </span>
+              {bodyMesh.measurements.measured && (
+                <span className="text-xs px-2 py-0.5 rounded bg-purple-500">✓ Measured</span>
+              )}
+              {bodyMesh.measurements.calibrated && (
+                <span className="text-xs px-2 py-0.5 rounded bg-indigo-500">🪪 Scaled</span>
+              )}
+            </div>
+            {measurePaused && (
+              <div className="mb-2 text-amber-300">
+                ⏸ {guidance.missing.measure.length > 0
+                  ? `Waiting for ${joinLabels(guidance.missing.measure).toLowerCase()} to be visible`
+                  : 'Hold still...'}
+              </div>
+            )}
+            <div className={`space-y-1 ${measurePaused ? 'opacity-40' : ''}`}>
+              <div className="flex justify-between">
+                <span>Chest:</span>
+                <span className="font-bold">{bodyMesh.measurements.chest.toFixed(1)} cm</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Waist:</span>
+                <span className="font-bold">{bodyMesh.measurements.waist.toFixed(1)} cm</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Hip:</span>
+                <span className="font-bold">{bodyMesh.measurements.hip.toFixed(1)} cm</span>
+              </div>
+            </div>
+            {sizeChart && !canRecommendSize(bodyMesh.measurements, sizeChart) && (
+              <div className="mt-3 pt-2 border-t border-white/20 text-amber-300">
+                📏 Take a front + side measurement first for a {sizeChart.name} size
+              </div>
+            )}
+            {sizeRecommendation && !measurePaused && (
+              <div className="mt-3 pt-2 border-t border-white/20">
+                <div className="font-bold mb-1 flex items-center gap-2">
+                  <span>🏷️</span> {sizeChart.name}
+                </div>
+                {sizeRecommendation.shouldersOnly && (
+                  <div className="mb-1 text-amber-300">
+                    Estimated from shoulder width only; measure front + side for chest, waist and hip
+                  </div>
+                )}
+                {[
+                  { label: 'Best size', result: sizeRecommendation.best },
+                  { label: 'Runner-up', result: sizeRecommendation.runnerUp }
+                ].filter(item => item.result).map(({ label, result }) => (
+                  <div key={label} className="mb-1">
+                    <div className="flex justify-between">
+                      <span>{label}:</span>
+                      <span className="font-bold">{result.size}</span>
+                    </div>
+                    <div className="flex flex-wrap gap-1 mt-0.5">
+                      {Object.entries(result.fit).map(([key, fit]) => (
+                        <span
+                          key={key}
+                          className={`px-1.5 py-0.5 rounded capitalize ${
+                            fit === 'good' ? 'bg-green-600' : fit === 'tight' ? 'bg-red-600' : 'bg-blue-600'
+                          }`}
+                        >
+                          {key}: {fit}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {videoFile && !replaySession && (
+        <div className="flex items-center gap-3 px-4 py-2 bg-gray-900 text-white text-xs">
+          <button
+            onClick={togglePlayback}
+            className="w-16 py-1 rounded-lg bg-white/10 hover:bg-white/20 font-bold"
+          >
+            {playback.playing ? '⏸ Pause' : '▶️ Play'}
+          </button>
+          <input
+            type="range"
+            min="0"
+            max={playback.duration || 0}
+            step="0.01"
+            value={playback.time}
+            onChange={handleScrub}
+            className="flex-1 accent-purple-500"
+          />
+          <span className="tabular-nums text-gray-300">
+            {formatClipTime(playback.time)} / {formatClipTime(playback.duration)}
+          </span>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 px-4 py-2 bg-gray-900 border-t border-white/10 text-white text-xs">
+        <button
+          onClick={takeSnapshot}
+          className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 font-bold"
+        >
+          📸 Snapshot
+        </button>
+        <select
+          value={snapshotDetails}
+          onChange={(e) => setSnapshotDetails(e.target.value)}
+          className="bg-gray-800 border border-white/20 rounded-lg px-2 py-1"
+        >
+          <option value="none">Image only</option>
+          <option value="caption">With caption</option>
+          <option value="sidecar">With JSON sidecar</option>
+        </select>
+        <label className="flex items-center gap-1 cursor-pointer">
+          <input type="checkbox" checked={showKeypoints} onChange={toggleKeypoints} />
+          Keypoints
+        </label>
+
+        <div className="flex items-center gap-2 ml-auto">
+          {clipRemaining !== null ? (
+            <button
+              onClick={stopClipRecording}
+              className="px-3 py-1 rounded-lg bg-red-600 hover:bg-red-700 font-bold animate-pulse"
+            >
+              ⏹ Stop clip ({clipRemaining}s)
+            </button>
+          ) : (
+            <>
+              <select
+                value={clipSeconds}
+                onChange={(e) => setClipSeconds(Number(e.target.value))}
+                className="bg-gray-800 border border-white/20 rounded-lg px-2 py-1"
+              >
+                {CLIP_LENGTHS.map(seconds => (
+                  <option key={seconds} value={seconds}>{seconds} s</option>
+                ))}
+              </select>
+              <button
+                onClick={startClipRecording}
+                className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 font-bold"
+              >
+                🎬 Record clip
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const CLOTHING_TYPES = [
+  { type: "shirt", icon: "👕", label: "Shirt/Top" },
+  { type: "jacket", icon: "🧥", label: "Jacket" },
+  { type: "dress", icon: "👗", label: "Dress" },
+  { type: "pants", icon: "👖", label: "Pants" }
+];
+
+// Main App
+// Still-photo try-on: the detector runs once per photo and garments are
+// redrawn on the cached body mesh at the photo's own resolution, so swapping
+// garments never waits on pose detection
+function PhotoTryOn3D({
+  // Data URL of a full-body photo
+  photo,
+  garments,
+  userHeight,
+  renderer = '2d',
+  poseModel = DEFAULT_POSE_MODEL,
+  backgroundThreshold = 40,
+  // Tint and shade garments to the photo's light, read from the face
+  lightingMatch = true
+}) {
+  const canvasRef = useRef(null);
+  const clothingRendererRef = useRef(null);
+  const [detector, setDetector] = useState(null);
+  const [photoImage, setPhotoImage] = useState(null);
+  const [pose, setPose] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const { layers } = useGarmentLayers(garments, backgroundThreshold);
+
+  // Detector paired with the model it runs, for normalizePose
+  useEffect(() => {
+    let poseDetector = null;
+    let cancelled = false;
+    setDetector(null);
+    (async () => {
+      try {
+        await tf.ready();
+        await tf.setBackend('webgl');
+        poseDetector = await createPoseDetector(poseModel);
+        if (cancelled) poseDetector.dispose();
+        else setDetector({ instance: poseDetector, modelId: poseModel });
+      } catch (error) {
+        console.error('Detector error:', error);
+        setStatus('error');
+      }
+    })();
+    return () => {
+      cancelled = true;
+      poseDetector?.dispose();
+    };
+  }, [poseModel]);
+
+  useEffect(() => {
+    const img = new Image();
+    img.onload = () => setPhotoImage(img);
+    img.src = photo;
+    setPose(null);
+    setStatus('loading');
+  }, [photo]);
+
+  useEffect(() => {
+    if (!detector || !photoImage) return;
+    let cancelled = false;
+    setStatus('detecting');
+    detector.instance.estimatePoses(photoImage).then((poses) => {
+      if (cancelled) return;
+      setPose(poses[0] ? normalizePose(poses[0], detector.modelId) : null);
+      setStatus(poses[0] ? 'ready' : 'noPerson');
+    }).catch((error) => {
+      console.error('Detection error:', error);
+      if (!cancelled) setStatus('error');
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [detector, photoImage]);
+
+  const bodyMesh = pose
+    ? new BodyMesh3D(userHeight || 170).buildBodyMesh(pose.keypoints, pose.keypoints3D)
+    : null;
+  const lighting = useMemo(
+    () => (lightingMatch && pose && photoImage ? estimateLighting(photoImage, pose.keypoints) : null),
+    [lightingMatch, pose, photoImage]
+  );
+
+  useEffect(() => {
+    const clothingRenderer = createClothingRenderer(renderer);
+    clothingRendererRef.current = clothingRenderer;
+    return () => clothingRenderer.dispose?.();
+  }, [renderer]);
+
+  // Free GPU copies of garment images that were replaced or removed
+  useEffect(() => {
+    clothingRendererRef.current?.releaseTextures?.(layers);
+  }, [layers]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !photoImage) return;
+
+    canvas.width = photoImage.naturalWidth;
+    canvas.height = photoImage.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(photoImage, 0, 0);
+
+    if (bodyMesh) {
+      clothingRendererRef.current?.setLighting(lighting);
+      clothingRendererRef.current?.renderOutfit(ctx, layers, bodyMesh);
     }
-  }, [detector, processedFront, processedBack]);
+  });
 
   return (
-    <div className="relative">
-      <video
-        ref={videoRef}
-        width="640"
-        height="480"
-        style={{ display: "none" }}
-        muted
-        playsInline
-      />
+    <div className="relative flex justify-center">
       <canvas
         ref={canvasRef}
         width="640"
         height="480"
-        className="rounded-xl"
+        className="rounded-xl max-w-full max-h-[80vh] w-auto h-auto"
       />
-      
-      {isProcessing && (
-        <div className="absolute top-4 left-4 bg-yellow-500 text-white px-4 py-2 rounded-lg font-bold animate-pulse">
-          🔄 Processing clothing...
+
+      {status !== 'ready' && (
+        <div className="absolute top-4 left-4 bg-black/80 text-white px-4 py-2 rounded-lg font-bold backdrop-blur-sm">
+          {{
+            loading: '⏳ Loading pose model...',
+            detecting: '🔍 Finding body in photo...',
+            noPerson: '⚠️ No person found. Use a full-body photo.',
+            error: '⚠️ Pose detection failed'
+          }[status]}
         </div>
       )}
-      
+
       {bodyMesh && (
-        <div className="absolute top-4 right-4 bg-black/85 text-white p-3 rounded-lg text-xs backdrop-blur-sm max-w-xs">
-          <div className="font-bold mb-2 text-sm flex items-center gap-2">
-            <span>📐</span> Body Measurements
-            <span className={`text-xs px-2 py-0.5 rounded ${
-              bodyMesh.orientation === 'front' ? 'bg-green-500' : 
-              bodyMesh.orientation === 'back' ? 'bg-blue-500' : 'bg-yellow-500'
-            }`}>
-              {bodyMesh.orientation === 'front' ? '👤 Front' : 
-               bodyMesh.orientation === 'back' ? '🔄 Back' : '↔️ Side'}
-            </span>
-          </div>
-          <div className="space-y-1">
-            <div className="flex justify-between">
-              <span>Chest:</span>
-              <span className="font-bold">{bodyMesh.measurements.chest.toFixed(1)} cm</span>
-            </div>
-            <div className="flex justify-between">
-              <span>Waist:</span>
-              <span className="font-bold">{bodyMesh.measurements.waist.toFixed(1)} cm</span>
-            </div>
-            <div className="flex justify-between">
-              <span>Hip:</span>
-              <span className="font-bold">{bodyMesh.measurements.hip.toFixed(1)} cm</span>
-            </div>
-          </div>
+        <div className="absolute top-4 right-4 bg-black/80 text-white px-3 py-2 rounded-lg text-xs backdrop-blur-sm">
+          {photoImage.naturalWidth}×{photoImage.naturalHeight} • Facing {bodyMesh.orientation}{bodyMesh.yaw !== null && ` (${Math.round(bodyMesh.yaw)}°)`}
         </div>
       )}
     </div>
   );
 }
 
-// Main App
 export default function App() {
   const [showPrivacy, setShowPrivacy] = useState(true);
   const [userHeight, setUserHeight] = useState(null);
   const [heightInput, setHeightInput] = useState("");
   const [frontClothing, setFrontClothing] = useState(null);
   const [backClothing, setBackClothing] = useState(null);
+  const [sideClothing, setSideClothing] = useState(null);
   const [clothingType, setClothingType] = useState("shirt");
   const [uploadedFront, setUploadedFront] = useState(null);
   const [uploadedBack, setUploadedBack] = useState(null);
+  const [uploadedSide, setUploadedSide] = useState(null);
+  const [refinedFront, setRefinedFront] = useState(null);
+  const [refinedBack, setRefinedBack] = useState(null);
+  const [refinedSide, setRefinedSide] = useState(null);
+  const [editingSide, setEditingSide] = useState(null);
+  const [frontAnchors, setFrontAnchors] = useState(null);
+  const [backAnchors, setBackAnchors] = useState(null);
+  const [annotatingSide, setAnnotatingSide] = useState(null);
+  const [sizeChart, setSizeChart] = useState(null);
+  const [rendererBackend, setRendererBackend] = useState("2d");
+  const [poseModel, setPoseModel] = useState(DEFAULT_POSE_MODEL);
+  const [videoFile, setVideoFile] = useState(null);
+  const [tryOnPhoto, setTryOnPhoto] = useState(null);
+  const [outfit, setOutfit] = useState([]);
+  const [garmentTags, setGarmentTags] = useState([]);
+  const [catalog, setCatalog] = useState(null);
+
+  // The garment being edited in Step 2 is tried on over the saved outfit
+  // layers until it is added to the outfit
+  const currentGarment = useMemo(() => frontClothing
+    ? createGarment({
+        id: 'current',
+        name: uploadedFront,
+        clothingType,
+        frontClothing,
+        backClothing,
+        sideClothing,
+        refinedFront,
+        refinedBack,
+        refinedSide,
+        frontAnchors,
+        backAnchors,
+        sizeChart,
+        tags: garmentTags
+      }, outfit)
+    : null,
+  [outfit, uploadedFront, clothingType, frontClothing, backClothing, sideClothing, refinedFront, refinedBack, refinedSide, frontAnchors, backAnchors, sizeChart, garmentTags]);
+
+  const tryOnGarments = useMemo(
+    () => (currentGarment ? [...outfit, currentGarment] : outfit),
+    [outfit, currentGarment]
+  );
+
+  const clearGarmentEditor = () => {
+    setFrontClothing(null);
+    setBackClothing(null);
+    setSideClothing(null);
+    setUploadedFront(null);
+    setUploadedBack(null);
+    setUploadedSide(null);
+    setRefinedFront(null);
+    setRefinedBack(null);
+    setRefinedSide(null);
+    setFrontAnchors(null);
+    setBackAnchors(null);
+    setEditingSide(null);
+    setAnnotatingSide(null);
+    setGarmentTags([]);
+  };
+
+  const addToOutfit = () => {
+    if (!currentGarment) return;
+    setOutfit([...outfit, createGarment({ ...currentGarment, id: undefined }, outfit)]);
+    clearGarmentEditor();
+  };
+
+  // Loads a saved or catalog garment into the Step 2 editor
+  const loadIntoEditor = (garment) => {
+    setClothingType(garment.clothingType);
+    setFrontClothing(garment.frontClothing);
+    setBackClothing(garment.backClothing);
+    setSideClothing(garment.sideClothing ?? null);
+    setUploadedFront(garment.name);
+    setUploadedBack(garment.backClothing ? garment.name : null);
+    setUploadedSide(garment.sideClothing ? garment.name : null);
+    setRefinedFront(garment.refinedFront);
+    setRefinedBack(garment.refinedBack);
+    setRefinedSide(garment.refinedSide ?? null);
+    setFrontAnchors(garment.frontAnchors);
+    setBackAnchors(garment.backAnchors);
+    setGarmentTags(garment.tags || []);
+    if (garment.sizeChart) setSizeChart(garment.sizeChart);
+    setEditingSide(null);
+    setAnnotatingSide(null);
+  };
+
+  const handleCatalogImport = async (e) => {
+    const files = e.target.files;
+    if (!files?.length) return;
+    try {
+      setCatalog(parseCatalog(await readCatalogFiles(files)));
+    } catch (error) {
+      alert(`Could not import catalog: ${error.message}`);
+    }
+    e.target.value = "";
+  };
+
+  const handleCatalogExport = () => {
+    if (tryOnGarments.length === 0) return;
+    const name = catalog?.name || "Outfit";
+    const zip = buildCatalogZip(sortLayers(tryOnGarments), name);
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), `${name.replace(/[^\w-]+/g, '-')}.zip`);
+  };
+
+  const updateLayer = (id, changes) => {
+    setOutfit(outfit.map(g => (g.id === id ? { ...g, ...changes } : g)));
+  };
+
+  const handleVideoUpload = (e) => {
+    const file = e.target.files[0];
+    if (file && file.type.startsWith('video/')) {
+      setVideoFile(file);
+      setTryOnPhoto(null);
+    }
+    e.target.value = "";
+  };
+
+  const handlePhotoUpload = (e) => {
+    const file = e.target.files[0];
+    if (file && file.type.startsWith('image/')) {
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        setTryOnPhoto(event.target.result);
+        setVideoFile(null);
+      };
+      reader.readAsDataURL(file);
+    }
+    e.target.value = "";
+  };
 
   const handleHeightSubmit = () => {
     const height = Number(heightInput);
@@ -861,6 +1646,11 @@ export default function App() {
       reader.onload = (event) => {
         setFrontClothing(event.target.result);
         setUploadedFront(file.name);
+        setRefinedFront(null);
+        setFrontAnchors(null);
+        setGarmentTags([]);
+        setAnnotatingSide(null);
+        setEditingSide('front');
       };
       reader.readAsDataURL(file);
     }
@@ -873,11 +1663,52 @@ export default function App() {
       reader.onload = (event) => {
         setBackClothing(event.target.result);
         setUploadedBack(file.name);
+        setRefinedBack(null);
+        setBackAnchors(null);
+        setAnnotatingSide(null);
+        setEditingSide('back');
       };
       reader.readAsDataURL(file);
     }
   };
 
+  const handleSideUpload = (e) => {
+    const file = e.target.files[0];
+    if (file && file.type.startsWith('image/')) {
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        setSideClothing(event.target.result);
+        setUploadedSide(file.name);
+        setRefinedSide(null);
+        setAnnotatingSide(null);
+        setEditingSide('side');
+      };
+      reader.readAsDataURL(file);
+    }
+  };
+
+  const handleSizeChartUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        setSizeChart(parseSizeChart(event.target.result, file.name));
+      } catch (error) {
+        alert(`Could not read size chart: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const handleMaskApply = (dataUrl) => {
+    if (editingSide === 'front') setRefinedFront(dataUrl);
+    if (editingSide === 'back') setRefinedBack(dataUrl);
+    if (editingSide === 'side') setRefinedSide(dataUrl);
+    setEditingSide(null);
+  };
+
   if (showPrivacy) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50 p-6">
@@ -970,12 +1801,7 @@ export default function App() {
               <div className="mb-6">
                 <label className="block font-semibold text-gray-700 mb-3">Clothing Type:</label>
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                  {[
-                    { type: "shirt", icon: "👕", label: "Shirt/Top" },
-                    { type: "jacket", icon: "🧥", label: "Jacket" },
-                    { type: "dress", icon: "👗", label: "Dress" },
-                    { type: "pants", icon: "👖", label: "Pants" }
-                  ].map(item => (
+                  {CLOTHING_TYPES.map(item => (
                     <button
                       key={item.type}
                       onClick={() => setClothingType(item.type)}
@@ -993,7 +1819,7 @@ export default function App() {
               </div>
 
               {/* Image Upload Section */}
-              <div className="grid md:grid-cols-2 gap-6">
+              <div className="grid md:grid-cols-3 gap-6">
                 {/* Front Image */}
                 <div>
                   <label className="block font-semibold text-gray-700 mb-3 flex items-center gap-2">
@@ -1024,13 +1850,37 @@ export default function App() {
                       <div className="flex items-center gap-2">
                         <span className="text-xl">✓</span>
                         <span className="text-sm font-semibold text-green-700 truncate">{uploadedFront}</span>
+                        {refinedFront && (
+                          <span className="text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded-full">Refined</span>
+                        )}
+                      </div>
+                      <div className="flex items-center">
+                        <button
+                          onClick={() => { setAnnotatingSide(null); setEditingSide('front'); }}
+                          className="text-purple-600 hover:text-purple-800 font-semibold text-sm ml-2"
+                        >
+                          ✏️ Refine
+                        </button>
+                        <button
+                          onClick={() => { setEditingSide(null); setAnnotatingSide('front'); }}
+                          className="text-blue-600 hover:text-blue-800 font-semibold text-sm ml-2"
+                        >
+                          📍 Anchors
+                        </button>
+                        <button
+                          onClick={() => {
+                            setFrontClothing(null);
+                            setUploadedFront(null);
+                            setRefinedFront(null);
+                            setFrontAnchors(null);
+                            if (editingSide === 'front') setEditingSide(null);
+                            if (annotatingSide === 'front') setAnnotatingSide(null);
+                          }}
+                          className="text-red-600 hover:text-red-800 font-bold text-lg ml-2"
+                        >
+                          ✕
+                        </button>
                       </div>
-                      <button
-                        onClick={() => { setFrontClothing(null); setUploadedFront(null); }}
-                        className="text-red-600 hover:text-red-800 font-bold text-lg ml-2"
-                      >
-                        ✕
-                      </button>
                     </div>
                   )}
                 </div>
@@ -1066,17 +1916,304 @@ export default function App() {
                       <div className="flex items-center gap-2">
                         <span className="text-xl">✓</span>
                         <span className="text-sm font-semibold text-blue-700 truncate">{uploadedBack}</span>
+                        {refinedBack && (
+                          <span className="text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded-full">Refined</span>
+                        )}
+                      </div>
+                      <div className="flex items-center">
+                        <button
+                          onClick={() => { setAnnotatingSide(null); setEditingSide('back'); }}
+                          className="text-purple-600 hover:text-purple-800 font-semibold text-sm ml-2"
+                        >
+                          ✏️ Refine
+                        </button>
+                        <button
+                          onClick={() => { setEditingSide(null); setAnnotatingSide('back'); }}
+                          className="text-blue-600 hover:text-blue-800 font-semibold text-sm ml-2"
+                        >
+                          📍 Anchors
+                        </button>
+                        <button
+                          onClick={() => {
+                            setBackClothing(null);
+                            setUploadedBack(null);
+                            setRefinedBack(null);
+                            setBackAnchors(null);
+                            if (editingSide === 'back') setEditingSide(null);
+                            if (annotatingSide === 'back') setAnnotatingSide(null);
+                          }}
+                          className="text-red-600 hover:text-red-800 font-bold text-lg ml-2"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Side Image */}
+                <div>
+                  <label className="block font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                    <span className="text-xl">↔️</span> Side View (Optional)
+                    <span className="text-xs bg-amber-100 text-amber-700 px-2 py-1 rounded-full">Smooth turning</span>
+                  </label>
+                  <label className="cursor-pointer block">
+                    <div className={`border-2 border-dashed rounded-xl p-6 text-center transition-all ${
+                      sideClothing
+                        ? 'border-amber-400 bg-amber-50'
+                        : 'border-gray-300 hover:border-purple-400 hover:bg-purple-50'
+                    }`}>
+                      <div className="text-4xl mb-2">{sideClothing ? '✓' : '📸'}</div>
+                      <p className="font-semibold text-gray-700">
+                        {sideClothing ? 'Side uploaded!' : 'Click to upload side'}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">Profile with the garment facing left</p>
+                    </div>
+                    <input
+                      type="file"
+                      accept="image/*"
+                      onChange={handleSideUpload}
+                      className="hidden"
+                    />
+                  </label>
+
+                  {uploadedSide && (
+                    <div className="mt-3 bg-amber-50 border-2 border-amber-300 rounded-xl p-3 flex items-center justify-between">
+                      <div className="flex items-center gap-2">
+                        <span className="text-xl">✓</span>
+                        <span className="text-sm font-semibold text-amber-700 truncate">{uploadedSide}</span>
+                        {refinedSide && (
+                          <span className="text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded-full">Refined</span>
+                        )}
+                      </div>
+                      <div className="flex items-center">
+                        <button
+                          onClick={() => { setAnnotatingSide(null); setEditingSide('side'); }}
+                          className="text-purple-600 hover:text-purple-800 font-semibold text-sm ml-2"
+                        >
+                          ✏️ Refine
+                        </button>
+                        <button
+                          onClick={() => {
+                            setSideClothing(null);
+                            setUploadedSide(null);
+                            setRefinedSide(null);
+                            if (editingSide === 'side') setEditingSide(null);
+                          }}
+                          className="text-red-600 hover:text-red-800 font-bold text-lg ml-2"
+                        >
+                          ✕
+                        </button>
                       </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Size Chart */}
+              <div className="mt-6 flex flex-wrap items-center gap-3">
+                <label className="cursor-pointer px-4 py-2 border-2 border-dashed border-gray-300 rounded-xl font-semibold text-gray-700 hover:border-purple-400 hover:bg-purple-50 transition-all">
+                  🏷️ {sizeChart ? 'Replace size chart' : 'Import size chart (JSON/CSV)'}
+                  <input
+                    type="file"
+                    accept=".json,.csv,application/json,text/csv"
+                    onChange={handleSizeChartUpload}
+                    className="hidden"
+                  />
+                </label>
+                {sizeChart && (
+                  <div className="bg-purple-50 border-2 border-purple-300 rounded-xl px-3 py-2 flex items-center gap-2 text-sm">
+                    <span className="font-semibold text-purple-700">
+                      {sizeChart.name} • {sizeChart.sizes.length} sizes
+                    </span>
+                    <button
+                      onClick={() => setSizeChart(null)}
+                      className="text-red-600 hover:text-red-800 font-bold ml-1"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {/* Catalog */}
+              <div className="mt-4 flex flex-wrap items-center gap-3">
+                <label className="cursor-pointer px-4 py-2 border-2 border-dashed border-gray-300 rounded-xl font-semibold text-gray-700 hover:border-purple-400 hover:bg-purple-50 transition-all">
+                  📦 Import catalog (ZIP)
+                  <input type="file" accept=".zip,application/zip" onChange={handleCatalogImport} className="hidden" />
+                </label>
+                <label className="cursor-pointer px-4 py-2 border-2 border-dashed border-gray-300 rounded-xl font-semibold text-gray-700 hover:border-purple-400 hover:bg-purple-50 transition-all">
+                  📁 Import catalog folder
+                  <input type="file" webkitdirectory="" multiple onChange={handleCatalogImport} className="hidden" />
+                </label>
+                <button
+                  onClick={handleCatalogExport}
+                  disabled={tryOnGarments.length === 0}
+                  className="px-4 py-2 border-2 border-gray-300 rounded-xl font-semibold text-gray-700 hover:border-purple-400 hover:bg-purple-50 transition-all disabled:opacity-40"
+                >
+                  ⬇️ Export garments as catalog
+                </button>
+              </div>
+
+              {catalog && (
+                <div className="mt-4 p-4 bg-gray-50 rounded-2xl border-2 border-gray-200">
+                  <div className="flex items-center justify-between mb-3">
+                    <span className="font-semibold text-gray-700">
+                      📦 {catalog.name} • {catalog.garments.length} garments
+                    </span>
+                    <button onClick={() => setCatalog(null)} className="text-red-600 hover:text-red-800 font-bold">
+                      ✕
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3">
+                    {catalog.garments.map((garment, index) => (
                       <button
-                        onClick={() => { setBackClothing(null); setUploadedBack(null); }}
-                        className="text-red-600 hover:text-red-800 font-bold text-lg ml-2"
+                        key={index}
+                        onClick={() => loadIntoEditor(garment)}
+                        title={`Try on ${garment.name}`}
+                        className={`p-2 rounded-xl border-2 bg-white transition-all text-left ${
+                          frontClothing === garment.frontClothing
+                            ? "border-purple-500 shadow-lg"
+                            : "border-gray-200 hover:border-purple-300"
+                        }`}
                       >
-                        ✕
+                        <img
+                          src={garment.refinedFront || garment.frontClothing}
+                          alt={garment.name}
+                          className="w-full aspect-square object-contain"
+                        />
+                        <div className="text-xs font-semibold text-gray-800 truncate mt-1">{garment.name}</div>
+                        <div className="text-[10px] text-gray-500">
+                          {CLOTHING_TYPES.find(t => t.type === garment.clothingType)?.label}
+                          {garment.sizeChart && " • size chart"}
+                        </div>
                       </button>
-                    </div>
-                  )}
+                    ))}
+                  </div>
                 </div>
+              )}
+
+              {/* Outfit Layers */}
+              <div className="mt-6 pt-6 border-t-2 border-gray-100">
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                  <div>
+                    <div className="font-semibold text-gray-700">👔 Outfit Layers</div>
+                    <p className="text-xs text-gray-500">
+                      Top of the list is worn outermost. The garment above is previewed on top until you add it.
+                    </p>
+                  </div>
+                  <button
+                    onClick={addToOutfit}
+                    disabled={!frontClothing}
+                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white font-bold rounded-xl shadow disabled:opacity-40"
+                  >
+                    ➕ Add to outfit
+                  </button>
+                </div>
+
+                {outfit.length > 0 && (
+                  <div className="space-y-2">
+                    {sortLayers(outfit).reverse().map((layer, index, list) => (
+                      <div
+                        key={layer.id}
+                        className={`flex items-center gap-3 p-2 rounded-xl border-2 transition-all ${
+                          layer.visible ? "border-purple-200 bg-purple-50" : "border-gray-200 bg-gray-50 opacity-60"
+                        }`}
+                      >
+                        <img
+                          src={layer.refinedFront || layer.frontClothing}
+                          alt={layer.name}
+                          className="w-10 h-10 object-contain rounded-lg bg-white"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <div className="text-sm font-semibold text-gray-800 truncate">{layer.name}</div>
+                          <div className="text-xs text-gray-500">
+                            {CLOTHING_TYPES.find(t => t.type === layer.clothingType)?.label}
+                          </div>
+                        </div>
+                        {layer.clothingType === 'shirt' && (
+                          <label className="flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={layer.tucked}
+                              onChange={(e) => updateLayer(layer.id, { tucked: e.target.checked })}
+                            />
+                            Tucked
+                          </label>
+                        )}
+                        <button
+                          onClick={() => updateLayer(layer.id, { visible: !layer.visible })}
+                          title={layer.visible ? "Hide layer" : "Show layer"}
+                          className="text-lg"
+                        >
+                          {layer.visible ? "👁️" : "🙈"}
+                        </button>
+                        <button
+                          onClick={() => setOutfit(moveLayer(outfit, layer.id, 1))}
+                          disabled={index === 0}
+                          title="Move outward"
+                          className="px-1 text-gray-600 hover:text-purple-700 disabled:opacity-30"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          onClick={() => setOutfit(moveLayer(outfit, layer.id, -1))}
+                          disabled={index === list.length - 1}
+                          title="Move inward"
+                          className="px-1 text-gray-600 hover:text-purple-700 disabled:opacity-30"
+                        >
+                          ▼
+                        </button>
+                        <button
+                          onClick={() => setOutfit(outfit.filter(g => g.id !== layer.id))}
+                          className="text-red-600 hover:text-red-800 font-bold ml-1"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
+
+              {/* Mask Touch-Up */}
+              {editingSide && (
+                <div className="mt-6">
+                  <GarmentMaskEditor
+                    key={editingSide}
+                    label={{ front: 'Front', back: 'Back', side: 'Side' }[editingSide]}
+                    source={{ front: frontClothing, back: backClothing, side: sideClothing }[editingSide]}
+                    onApply={handleMaskApply}
+                    onSkip={() => setEditingSide(null)}
+                  />
+                </div>
+              )}
+
+              {/* Anchor Annotation */}
+              {annotatingSide && (
+                <div className="mt-6">
+                  <GarmentAnchorEditor
+                    key={`${annotatingSide}-${clothingType}`}
+                    label={annotatingSide === 'front' ? 'Front' : 'Back'}
+                    source={annotatingSide === 'front'
+                      ? (refinedFront || frontClothing)
+                      : (refinedBack || backClothing)}
+                    clothingType={clothingType}
+                    anchors={(annotatingSide === 'front' ? frontAnchors : backAnchors) || {}}
+                    onChange={annotatingSide === 'front' ? setFrontAnchors : setBackAnchors}
+                    onDone={() => setAnnotatingSide(null)}
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Wardrobe */}
+            <div className="bg-white/90 backdrop-blur-lg rounded-3xl shadow-xl p-8 mb-6">
+              <h3 className="text-2xl font-bold text-gray-800 mb-1 flex items-center gap-2">
+                <span>🗄️</span> Your Wardrobe
+              </h3>
+              <p className="text-sm text-gray-500 mb-5">Saved in this browser only. Click a garment to try it on.</p>
+              <WardrobePanel currentGarment={currentGarment} onLoad={loadIntoEditor} />
             </div>
 
             {/* Tips Section */}
@@ -1092,7 +2229,7 @@ export default function App() {
                     </div>
                     <div className="bg-white p-3 rounded-lg">
                       <div className="font-semibold text-sm text-gray-800 mb-1">👤 Body Position</div>
-                      <p className="text-xs text-gray-600">Stand 6-8 feet away, full body visible</p>
+                      <p className="text-xs text-gray-600">Follow the prompts on the video; they clear once you are framed well</p>
                     </div>
                     <div className="bg-white p-3 rounded-lg">
                       <div className="font-semibold text-sm text-gray-800 mb-1">🔄 Turn Around</div>
@@ -1105,19 +2242,94 @@ export default function App() {
 
             {/* Camera Feed */}
             <div className="bg-white/90 backdrop-blur-lg rounded-3xl shadow-xl p-6">
-              <h3 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
-                <span>📹</span> Step 3: Live 3D Try-On
-              </h3>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+                  <span>📹</span> Step 3: Live 3D Try-On
+                </h3>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-semibold text-gray-600">Source:</span>
+                  <button
+                    onClick={() => { setVideoFile(null); setTryOnPhoto(null); }}
+                    className={`px-3 py-1 rounded-lg border-2 font-semibold transition-all ${
+                      !videoFile && !tryOnPhoto
+                        ? "border-purple-500 bg-purple-50 text-purple-700"
+                        : "border-gray-300 text-gray-600 hover:border-purple-300"
+                    }`}
+                  >
+                    Camera
+                  </button>
+                  <label
+                    title={videoFile?.name}
+                    className={`px-3 py-1 rounded-lg border-2 font-semibold transition-all cursor-pointer max-w-[12rem] truncate ${
+                      videoFile
+                        ? "border-purple-500 bg-purple-50 text-purple-700"
+                        : "border-gray-300 text-gray-600 hover:border-purple-300"
+                    }`}
+                  >
+                    {videoFile ? `🎞️ ${videoFile.name}` : "Video File"}
+                    <input type="file" accept="video/mp4,video/webm,video/*" onChange={handleVideoUpload} className="hidden" />
+                  </label>
+                  <label
+                    className={`px-3 py-1 rounded-lg border-2 font-semibold transition-all cursor-pointer ${
+                      tryOnPhoto
+                        ? "border-purple-500 bg-purple-50 text-purple-700"
+                        : "border-gray-300 text-gray-600 hover:border-purple-300"
+                    }`}
+                  >
+                    {tryOnPhoto ? "🖼️ Photo" : "Photo"}
+                    <input type="file" accept="image/*" onChange={handlePhotoUpload} className="hidden" />
+                  </label>
+                  <span className="font-semibold text-gray-600 ml-2">Renderer:</span>
+                  {[
+                    { backend: "2d", label: "Canvas 2D" },
+                    { backend: "webgl", label: "WebGL" }
+                  ].map(item => (
+                    <button
+                      key={item.backend}
+                      onClick={() => setRendererBackend(item.backend)}
+                      className={`px-3 py-1 rounded-lg border-2 font-semibold transition-all ${
+                        rendererBackend === item.backend
+                          ? "border-purple-500 bg-purple-50 text-purple-700"
+                          : "border-gray-300 text-gray-600 hover:border-purple-300"
+                      }`}
+                    >
+                      {item.label}
+                    </button>
+                  ))}
+                  <span className="font-semibold text-gray-600 ml-2">Model:</span>
+                  <select
+                    value={poseModel}
+                    onChange={(e) => setPoseModel(e.target.value)}
+                    className="px-2 py-1 rounded-lg border-2 border-gray-300 font-semibold text-gray-700 focus:outline-none focus:border-purple-500"
+                  >
+                    {Object.entries(POSE_MODELS).map(([id, model]) => (
+                      <option key={id} value={id}>{model.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
 
               <div className="relative rounded-2xl overflow-hidden shadow-2xl bg-gray-900">
-                <VirtualTryOn3D
-                  frontClothing={frontClothing}
-                  backClothing={backClothing}
-                  clothingType={clothingType}
-                  userHeight={userHeight}
-                />
+                {tryOnPhoto ? (
+                  <PhotoTryOn3D
+                    photo={tryOnPhoto}
+                    garments={tryOnGarments}
+                    userHeight={userHeight}
+                    renderer={rendererBackend}
+                    poseModel={poseModel}
+                  />
+                ) : (
+                  <VirtualTryOn3D
+                    garments={tryOnGarments}
+                    userHeight={userHeight}
+                    sizeChart={sizeChart}
+                    renderer={rendererBackend}
+                    poseModel={poseModel}
+                    videoFile={videoFile}
+                  />
+                )}
                 
-                {!frontClothing && (
+                {tryOnGarments.length === 0 && (
                   <div className="absolute inset-0 flex items-center justify-center bg-black/70 backdrop-blur-sm">
                     <div className="text-center text-white px-8 py-6 bg-black/50 rounded-2xl max-w-md">
                       <p className="text-4xl mb-3">👕</p>
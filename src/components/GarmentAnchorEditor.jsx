@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { getAnchorDefinitions } from "../utils/garmentAnchors";
+
+// Click-to-place annotation of garment anchor points. Anchors are stored as
+// fractions of the image size; placing one moves on to the next missing one.
+function GarmentAnchorEditor({ label, source, clothingType, anchors, onChange, onDone }) {
+  const definitions = getAnchorDefinitions(clothingType);
+  const [activeKey, setActiveKey] = useState(
+    (definitions.find((d) => !anchors?.[d.key]) || definitions[0]).key
+  );
+
+  const handleImageClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const point = {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
+    const next = { ...anchors, [activeKey]: point };
+    onChange(next);
+
+    const nextMissing = definitions.find((d) => !next[d.key]);
+    if (nextMissing) setActiveKey(nextMissing.key);
+  };
+
+  const handleClear = () => {
+    onChange({});
+    setActiveKey(definitions[0].key);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border-2 border-blue-200 p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-bold text-gray-800 flex items-center gap-2">
+          <span>📍</span> Mark {label} Anchor Points
+        </h4>
+        <p className="text-xs text-gray-500">Left/right = left/right side of the photo</p>
+      </div>
+
+      <div className="grid md:grid-cols-[auto_1fr] gap-5">
+        <div className="relative inline-block self-start mx-auto">
+          <img
+            src={source}
+            alt={`${label} garment`}
+            onClick={handleImageClick}
+            draggable={false}
+            className="max-h-[420px] max-w-full rounded-xl border border-gray-200 cursor-crosshair select-none"
+          />
+          {definitions.map((d, index) => anchors?.[d.key] && (
+            <div
+              key={d.key}
+              className={`absolute w-5 h-5 -ml-2.5 -mt-2.5 rounded-full border-2 border-white text-[10px] font-bold text-white flex items-center justify-center pointer-events-none shadow ${
+                d.key === activeKey ? "bg-purple-600" : "bg-blue-600"
+              }`}
+              style={{ left: `${anchors[d.key].x * 100}%`, top: `${anchors[d.key].y * 100}%` }}
+            >
+              {index + 1}
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-2 text-sm">
+          {definitions.map((d, index) => (
+            <button
+              key={d.key}
+              onClick={() => setActiveKey(d.key)}
+              className={`w-full flex items-center justify-between px-3 py-2 rounded-lg border-2 transition-all ${
+                d.key === activeKey
+                  ? "border-purple-500 bg-purple-50"
+                  : "border-gray-200 hover:border-purple-300"
+              }`}
+            >
+              <span className="font-semibold text-gray-700">{index + 1}. {d.label}</span>
+              <span className={anchors?.[d.key] ? "text-green-600" : "text-gray-400"}>
+                {anchors?.[d.key] ? "✓" : "—"}
+              </span>
+            </button>
+          ))}
+
+          <div className="flex gap-2 pt-3">
+            <button
+              onClick={onDone}
+              className="px-5 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white font-bold rounded-xl shadow-lg hover:shadow-xl transition-all"
+            >
+              Done ✓
+            </button>
+            <button
+              onClick={handleClear}
+              className="px-5 py-2 border-2 border-gray-300 text-gray-700 font-semibold rounded-xl hover:border-gray-400 transition-all"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GarmentAnchorEditor;
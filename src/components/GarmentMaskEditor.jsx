@@ -0,0 +1,397 @@
+import { useEffect, useRef, useState } from "react";
+import { ClothingProcessor } from "../utils/clothingProcessor";
+
+const MAX_DISPLAY_SIZE = 420;
+const MAX_HISTORY = 20;
+
+// Manual touch-up of the automatic background removal. The mask lives in its
+// own canvas (alpha = keep) at the garment's native resolution; brushes paint
+// into it and the refined cut-out is handed back as a PNG data URL. Undo
+// history keeps only the rectangle each stroke touched, before and after.
+function GarmentMaskEditor({ label, source, onApply, onSkip }) {
+  const displayRef = useRef(null);
+  const imageRef = useRef(null);
+  const maskRef = useRef(null);
+  const paintingRef = useRef(false);
+  const lastPointRef = useRef(null);
+  // Copy of the mask from before the current stroke, and the area it touched
+  const strokeStartRef = useRef(null);
+  const dirtyRef = useRef(null);
+  const [isLoading, setIsLoading] = useState(true);
+  // The slider moves `threshold`; removal re-runs with `appliedThreshold`
+  // only once the slider is let go
+  const [threshold, setThreshold] = useState(40);
+  const [appliedThreshold, setAppliedThreshold] = useState(40);
+  const [brushMode, setBrushMode] = useState("erase");
+  const [brushSize, setBrushSize] = useState(20);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+
+  // Draw the current state: checkerboard, garment, and a red tint where the
+  // mask removes pixels so mistakes are easy to spot
+  const redraw = () => {
+    const canvas = displayRef.current;
+    const img = imageRef.current;
+    const mask = maskRef.current;
+    if (!canvas || !img || !mask) return;
+
+    const ctx = canvas.getContext("2d");
+    const cell = 10;
+    for (let y = 0; y < canvas.height; y += cell) {
+      for (let x = 0; x < canvas.width; x += cell) {
+        ctx.fillStyle = (x / cell + y / cell) % 2 === 0 ? "#e5e7eb" : "#ffffff";
+        ctx.fillRect(x, y, cell, cell);
+      }
+    }
+
+    if (showOriginal) {
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      return;
+    }
+
+    const layer = document.createElement("canvas");
+    layer.width = canvas.width;
+    layer.height = canvas.height;
+    const layerCtx = layer.getContext("2d");
+
+    // Removed area, tinted
+    layerCtx.drawImage(img, 0, 0, layer.width, layer.height);
+    layerCtx.globalCompositeOperation = "destination-out";
+    layerCtx.drawImage(mask, 0, 0, layer.width, layer.height);
+    layerCtx.globalCompositeOperation = "source-atop";
+    layerCtx.fillStyle = "rgba(239, 68, 68, 0.6)";
+    layerCtx.fillRect(0, 0, layer.width, layer.height);
+    ctx.globalAlpha = 0.35;
+    ctx.drawImage(layer, 0, 0);
+    ctx.globalAlpha = 1;
+
+    // Kept area
+    layerCtx.globalCompositeOperation = "source-over";
+    layerCtx.clearRect(0, 0, layer.width, layer.height);
+    layerCtx.drawImage(img, 0, 0, layer.width, layer.height);
+    layerCtx.globalCompositeOperation = "destination-in";
+    layerCtx.drawImage(mask, 0, 0, layer.width, layer.height);
+    ctx.drawImage(layer, 0, 0);
+  };
+
+  useEffect(() => {
+    if (!source) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    const img = new Image();
+    img.onload = async () => {
+      const { mask } = await ClothingProcessor.removeBackground(img, { threshold: appliedThreshold });
+      if (cancelled) return;
+
+      const maskCanvas = document.createElement("canvas");
+      maskCanvas.width = mask.width;
+      maskCanvas.height = mask.height;
+      const maskCtx = maskCanvas.getContext("2d");
+      const maskData = maskCtx.createImageData(mask.width, mask.height);
+      for (let i = 0; i < mask.data.length; i++) {
+        maskData.data[i * 4] = 255;
+        maskData.data[i * 4 + 1] = 255;
+        maskData.data[i * 4 + 2] = 255;
+        maskData.data[i * 4 + 3] = mask.data[i];
+      }
+      maskCtx.putImageData(maskData, 0, 0);
+
+      const scale = Math.min(1, MAX_DISPLAY_SIZE / Math.max(img.width, img.height));
+      displayRef.current.width = Math.round(img.width * scale);
+      displayRef.current.height = Math.round(img.height * scale);
+
+      imageRef.current = img;
+      maskRef.current = maskCanvas;
+      setUndoStack([]);
+      setRedoStack([]);
+      setIsLoading(false);
+    };
+    img.src = source;
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source, appliedThreshold]);
+
+  useEffect(() => {
+    if (!isLoading) redraw();
+  });
+
+  // Re-running removal replaces the mask, so brush edits need a confirm
+  const applyThreshold = () => {
+    if (threshold === appliedThreshold) return;
+    const hasEdits = undoStack.length > 0 || redoStack.length > 0;
+    if (hasEdits && !confirm("Re-run automatic removal? Your brush edits will be lost.")) {
+      setThreshold(appliedThreshold);
+      return;
+    }
+    setAppliedThreshold(threshold);
+  };
+
+  const beginStroke = () => {
+    const mask = maskRef.current;
+    if (!strokeStartRef.current) strokeStartRef.current = document.createElement("canvas");
+    const start = strokeStartRef.current;
+    start.width = mask.width;
+    start.height = mask.height;
+    start.getContext("2d").drawImage(mask, 0, 0);
+    dirtyRef.current = null;
+  };
+
+  const growDirty = (x, y, radius) => {
+    const dirty = dirtyRef.current || { minX: x, minY: y, maxX: x, maxY: y };
+    dirtyRef.current = {
+      minX: Math.min(dirty.minX, x - radius),
+      minY: Math.min(dirty.minY, y - radius),
+      maxX: Math.max(dirty.maxX, x + radius),
+      maxY: Math.max(dirty.maxY, y + radius)
+    };
+  };
+
+  // { x, y, before, after } for the finished stroke, or null if it missed
+  const endStroke = () => {
+    const mask = maskRef.current;
+    const dirty = dirtyRef.current;
+    dirtyRef.current = null;
+    if (!dirty) return null;
+
+    const x = Math.max(0, Math.floor(dirty.minX) - 1);
+    const y = Math.max(0, Math.floor(dirty.minY) - 1);
+    const width = Math.min(mask.width, Math.ceil(dirty.maxX) + 1) - x;
+    const height = Math.min(mask.height, Math.ceil(dirty.maxY) + 1) - y;
+    if (width <= 0 || height <= 0) return null;
+
+    return {
+      x,
+      y,
+      before: strokeStartRef.current.getContext("2d").getImageData(x, y, width, height),
+      after: mask.getContext("2d").getImageData(x, y, width, height)
+    };
+  };
+
+  const restoreMask = ({ x, y }, data) => {
+    maskRef.current.getContext("2d").putImageData(data, x, y);
+  };
+
+  const toMaskPoint = (e) => {
+    const canvas = displayRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const mask = maskRef.current;
+    return {
+      x: (e.clientX - rect.left) / rect.width * mask.width,
+      y: (e.clientY - rect.top) / rect.height * mask.height
+    };
+  };
+
+  const paintTo = (point) => {
+    const mask = maskRef.current;
+    const ctx = mask.getContext("2d");
+    const from = lastPointRef.current || point;
+    // Brush size is given in display pixels
+    const radius = brushSize / 2 * (mask.width / displayRef.current.width);
+
+    ctx.save();
+    ctx.globalCompositeOperation = brushMode === "add" ? "source-over" : "destination-out";
+    ctx.strokeStyle = "white";
+    ctx.fillStyle = "white";
+    ctx.lineCap = "round";
+    ctx.lineWidth = radius * 2;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, radius, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.restore();
+
+    growDirty(from.x, from.y, radius);
+    growDirty(point.x, point.y, radius);
+    lastPointRef.current = point;
+    redraw();
+  };
+
+  const handlePointerDown = (e) => {
+    if (isLoading || showOriginal) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    beginStroke();
+    paintingRef.current = true;
+    lastPointRef.current = null;
+    paintTo(toMaskPoint(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (paintingRef.current) paintTo(toMaskPoint(e));
+  };
+
+  const handlePointerUp = () => {
+    if (!paintingRef.current) return;
+    paintingRef.current = false;
+    lastPointRef.current = null;
+
+    const stroke = endStroke();
+    if (!stroke) return;
+    setUndoStack((stack) => [...stack.slice(-(MAX_HISTORY - 1)), stroke]);
+    setRedoStack([]);
+  };
+
+  const handleUndo = () => {
+    if (undoStack.length === 0) return;
+    const stroke = undoStack[undoStack.length - 1];
+    restoreMask(stroke, stroke.before);
+    setUndoStack((stack) => stack.slice(0, -1));
+    setRedoStack((stack) => [...stack, stroke]);
+  };
+
+  const handleRedo = () => {
+    if (redoStack.length === 0) return;
+    const stroke = redoStack[redoStack.length - 1];
+    restoreMask(stroke, stroke.after);
+    setRedoStack((stack) => stack.slice(0, -1));
+    setUndoStack((stack) => [...stack, stroke]);
+  };
+
+  const handleApply = () => {
+    const img = imageRef.current;
+    const canvas = document.createElement("canvas");
+    canvas.width = img.width;
+    canvas.height = img.height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(img, 0, 0);
+    ctx.globalCompositeOperation = "destination-in";
+    ctx.drawImage(maskRef.current, 0, 0);
+    onApply(canvas.toDataURL("image/png"));
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border-2 border-purple-200 p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-bold text-gray-800 flex items-center gap-2">
+          <span>✏️</span> Refine {label} Mask
+        </h4>
+        <button
+          onClick={() => setShowOriginal(!showOriginal)}
+          className={`px-3 py-1 rounded-lg border-2 text-sm font-semibold transition-all ${
+            showOriginal
+              ? "border-blue-500 bg-blue-50 text-blue-700"
+              : "border-gray-300 text-gray-600 hover:border-blue-300"
+          }`}
+        >
+          {showOriginal ? "Showing: Before" : "Showing: After"}
+        </button>
+      </div>
+
+      <div className="grid md:grid-cols-[auto_1fr] gap-5">
+        <div className="relative flex justify-center">
+          <canvas
+            ref={displayRef}
+            width={MAX_DISPLAY_SIZE}
+            height={MAX_DISPLAY_SIZE}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+            className="rounded-xl border border-gray-200 cursor-crosshair touch-none max-w-full"
+          />
+          {isLoading && (
+            <div className="absolute inset-0 flex items-center justify-center bg-white/70 rounded-xl font-semibold text-gray-700">
+              🔄 Removing background...
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-4 text-sm">
+          <div>
+            <label className="block font-semibold text-gray-700 mb-2">Brush</label>
+            <div className="flex gap-2">
+              {[
+                { mode: "add", label: "➕ Add" },
+                { mode: "erase", label: "➖ Erase" }
+              ].map(item => (
+                <button
+                  key={item.mode}
+                  onClick={() => setBrushMode(item.mode)}
+                  className={`px-3 py-1 rounded-lg border-2 font-semibold transition-all ${
+                    brushMode === item.mode
+                      ? "border-purple-500 bg-purple-50 text-purple-700"
+                      : "border-gray-300 text-gray-600 hover:border-purple-300"
+                  }`}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block font-semibold text-gray-700 mb-2">
+              Brush size: {brushSize}px
+            </label>
+            <input
+              type="range"
+              min="4"
+              max="80"
+              value={brushSize}
+              onChange={(e) => setBrushSize(Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+
+          <div>
+            <label className="block font-semibold text-gray-700 mb-2">
+              Background sensitivity: {threshold}
+            </label>
+            <input
+              type="range"
+              min="10"
+              max="120"
+              value={threshold}
+              onChange={(e) => setThreshold(Number(e.target.value))}
+              onPointerUp={applyThreshold}
+              onKeyUp={applyThreshold}
+              className="w-full"
+            />
+            <p className="text-xs text-gray-500 mt-1">Releasing the slider re-runs automatic removal</p>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleUndo}
+              disabled={undoStack.length === 0}
+              className="px-3 py-1 rounded-lg border-2 border-gray-300 font-semibold text-gray-600 disabled:opacity-40"
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={handleRedo}
+              disabled={redoStack.length === 0}
+              className="px-3 py-1 rounded-lg border-2 border-gray-300 font-semibold text-gray-600 disabled:opacity-40"
+            >
+              ↷ Redo
+            </button>
+          </div>
+
+          <div className="flex gap-2 pt-2">
+            <button
+              onClick={handleApply}
+              disabled={isLoading}
+              className="px-5 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white font-bold rounded-xl shadow-lg hover:shadow-xl transition-all disabled:opacity-50"
+            >
+              Use Refined Image ✓
+            </button>
+            <button
+              onClick={onSkip}
+              className="px-5 py-2 border-2 border-gray-300 text-gray-700 font-semibold rounded-xl hover:border-gray-400 transition-all"
+            >
+              Skip
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GarmentMaskEditor;
@@ -0,0 +1,137 @@
+import { useEffect, useRef, useState } from "react";
+import { BodyMesh3D } from "../utils/bodyMesh";
+import { REFERENCE_OBJECTS, compareScales, pixelsPerCmFromReference } from "../utils/pixelToCm";
+import { detectReferenceObject } from "../utils/referenceObject";
+
+const MAX_ASPECT_ERROR = 0.15;
+
+// Freezes the current frame, lets the user tap a known-size object they are
+// holding, and reports the resulting pixels-per-cm. The typed-height scale is
+// shown alongside as a cross-check.
+function ScaleCalibration({ video, keypoints, userHeight, onCalibrate, onCancel }) {
+  const canvasRef = useRef(null);
+  const frameRef = useRef(null);
+  const [objectType, setObjectType] = useState("card");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    frameRef.current = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  }, [video]);
+
+  // Scale implied by the typed height, when head and ankles are visible. Uses
+  // the same estimate the body mesh falls back to without a calibration
+  const heightPixelsPerCm = (() => {
+    const kp = {};
+    (keypoints || []).forEach(k => {
+      if (k.score > 0.3) kp[k.name] = k;
+    });
+    if (!kp.nose || !kp.left_ankle || !kp.right_ankle || !userHeight) return null;
+    return new BodyMesh3D(userHeight).getPixelsPerCm(kp);
+  })();
+
+  const drawFrame = (corners) => {
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.putImageData(frameRef.current, 0, 0);
+    if (!corners) return;
+
+    ctx.beginPath();
+    corners.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "#22c55e";
+    ctx.stroke();
+    corners.forEach((p) => {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 5, 0, 2 * Math.PI);
+      ctx.fillStyle = "#22c55e";
+      ctx.fill();
+    });
+  };
+
+  const handleCanvasClick = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width * canvas.width;
+    const y = (e.clientY - rect.top) / rect.height * canvas.height;
+
+    const corners = detectReferenceObject(frameRef.current, x, y);
+    drawFrame(corners);
+    if (!corners) {
+      setResult(null);
+      setError("Could not find a rectangle there. Hold the object flat against a contrasting background and tap its centre.");
+      return;
+    }
+
+    const object = REFERENCE_OBJECTS[objectType];
+    const scale = pixelsPerCmFromReference(corners, object);
+    if (scale.aspectError > MAX_ASPECT_ERROR) {
+      setResult(null);
+      setError(`That shape does not match a ${object.label}. Hold it facing the camera and try again.`);
+      return;
+    }
+
+    setError(null);
+    setResult(scale);
+  };
+
+  return (
+    <div className="absolute inset-0 bg-black/80 flex flex-col items-center justify-center p-4 text-white text-sm">
+      <div className="font-bold mb-2">🪪 Hold a known object against your chest, then tap it</div>
+      <div className="flex gap-2 mb-3">
+        {Object.entries(REFERENCE_OBJECTS).map(([key, object]) => (
+          <button
+            key={key}
+            onClick={() => { setObjectType(key); setResult(null); drawFrame(null); }}
+            className={`px-3 py-1 rounded-lg border-2 font-semibold transition-all ${
+              objectType === key ? "border-purple-400 bg-purple-500/40" : "border-white/30 hover:border-purple-300"
+            }`}
+          >
+            {object.label}
+          </button>
+        ))}
+      </div>
+
+      <canvas
+        ref={canvasRef}
+        width="640"
+        height="480"
+        onClick={handleCanvasClick}
+        className="rounded-lg cursor-crosshair max-h-[300px] w-auto"
+      />
+
+      {error && <div className="mt-3 text-yellow-300 text-center max-w-md">{error}</div>}
+
+      {result && (
+        <div className="mt-3 text-center space-y-1">
+          <div>
+            Reference scale: <span className="font-bold">{result.pixelsPerCm.toFixed(2)} px/cm</span>
+          </div>
+          <div className="text-xs text-gray-300">
+            {heightPixelsPerCm
+              ? `Height-based scale: ${heightPixelsPerCm.toFixed(2)} px/cm (${(compareScales(result.pixelsPerCm, heightPixelsPerCm) * 100).toFixed(0)}% difference)`
+              : "Height-based scale unavailable (head or ankles not visible)"}
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={() => onCalibrate({ pixelsPerCm: result.pixelsPerCm, objectType })}
+          disabled={!result}
+          className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 font-bold rounded-lg disabled:opacity-40"
+        >
+          Use This Scale ✓
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 border-2 border-white/30 rounded-lg font-semibold">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ScaleCalibration;
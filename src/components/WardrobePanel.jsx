@@ -0,0 +1,191 @@
+import { useEffect, useState } from "react";
+import {
+  deleteWardrobeItem,
+  listWardrobe,
+  parseTags,
+  saveToWardrobe,
+  searchWardrobe,
+  updateWardrobeItem
+} from "../utils/wardrobe";
+
+// Saved garments kept in IndexedDB on this device. Saving stores the garment
+// being edited; clicking an item loads it back into the editor.
+function WardrobePanel({ currentGarment, onLoad }) {
+  const [items, setItems] = useState([]);
+  const [query, setQuery] = useState("");
+  const [saveName, setSaveName] = useState("");
+  const [saveTags, setSaveTags] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    listWardrobe()
+      .then(setItems)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    setSaveName(currentGarment?.name?.replace(/\.[^.]+$/, "") || "");
+  }, [currentGarment?.name]);
+
+  // Start from the garment's own tags so re-saving keeps them
+  const garmentTags = (currentGarment?.tags || []).join(", ");
+  useEffect(() => {
+    setSaveTags(garmentTags);
+  }, [garmentTags]);
+
+  const handleSave = async () => {
+    if (!currentGarment) return;
+    setIsSaving(true);
+    try {
+      const item = await saveToWardrobe(currentGarment, { name: saveName.trim(), tags: parseTags(saveTags) });
+      setItems((prev) => [item, ...prev]);
+      setError(null);
+    } catch (err) {
+      setError(`Could not save: ${err.message}`);
+    }
+    setIsSaving(false);
+  };
+
+  const handleEditSave = async () => {
+    try {
+      const updated = await updateWardrobeItem(editing.id, {
+        name: editing.name.trim() || editing.original,
+        tags: parseTags(editing.tags)
+      });
+      setItems((prev) => [updated, ...prev.filter((item) => item.id !== updated.id)]);
+      setEditing(null);
+    } catch (err) {
+      setError(`Could not rename: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!confirm(`Delete "${item.name}" from your wardrobe?`)) return;
+    try {
+      await deleteWardrobeItem(item.id);
+      setItems((prev) => prev.filter((other) => other.id !== item.id));
+    } catch (err) {
+      setError(`Could not delete: ${err.message}`);
+    }
+  };
+
+  const visibleItems = searchWardrobe(items, query);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div className="flex-1 min-w-[12rem]">
+          <label className="block text-xs font-semibold text-gray-600 mb-1">Name</label>
+          <input
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            disabled={!currentGarment}
+            placeholder="Upload a garment above first"
+            className="w-full px-3 py-2 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-purple-500 disabled:bg-gray-50"
+          />
+        </div>
+        <div className="flex-1 min-w-[12rem]">
+          <label className="block text-xs font-semibold text-gray-600 mb-1">Tags (comma separated)</label>
+          <input
+            value={saveTags}
+            onChange={(e) => setSaveTags(e.target.value)}
+            disabled={!currentGarment}
+            placeholder="summer, work, linen"
+            className="w-full px-3 py-2 border-2 border-gray-300 rounded-xl focus:outline-none focus:border-purple-500 disabled:bg-gray-50"
+          />
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!currentGarment || isSaving}
+          className="px-5 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white font-bold rounded-xl shadow disabled:opacity-40"
+        >
+          {isSaving ? "Saving..." : "💾 Save current garment"}
+        </button>
+      </div>
+
+      {error && <div className="mb-3 text-sm text-red-600">{error}</div>}
+
+      {items.length > 0 && (
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={`🔍 Search ${items.length} saved garments by name, type or tag`}
+          className="w-full px-3 py-2 mb-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-purple-500 text-sm"
+        />
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-3">
+        {visibleItems.map((item) => (
+          <div key={item.id} className="border-2 border-gray-200 rounded-xl p-2 hover:border-purple-400 transition-all">
+            <button
+              onClick={() => onLoad(item)}
+              title="Load into try-on"
+              className="block w-full aspect-square rounded-lg bg-gray-50 overflow-hidden"
+            >
+              <img
+                src={item.refinedFront || item.frontClothing}
+                alt={item.name}
+                className="w-full h-full object-contain"
+              />
+            </button>
+
+            {editing?.id === item.id ? (
+              <div className="mt-2 space-y-1">
+                <input
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  onKeyDown={(e) => e.key === "Enter" && handleEditSave()}
+                  autoFocus
+                  className="w-full px-2 py-1 border border-purple-400 rounded text-xs"
+                />
+                <input
+                  value={editing.tags}
+                  onChange={(e) => setEditing({ ...editing, tags: e.target.value })}
+                  onKeyDown={(e) => e.key === "Enter" && handleEditSave()}
+                  placeholder="tags"
+                  className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+                />
+                <div className="flex gap-2 text-xs">
+                  <button onClick={handleEditSave} className="text-purple-700 font-semibold">Save</button>
+                  <button onClick={() => setEditing(null)} className="text-gray-500">Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <div className="mt-2">
+                <div className="text-sm font-semibold text-gray-800 truncate" title={item.name}>{item.name}</div>
+                <div className="text-xs text-gray-500 truncate">
+                  {item.clothingType}{item.tags.length > 0 && ` • ${item.tags.join(", ")}`}
+                </div>
+                <div className="flex gap-2 mt-1 text-xs">
+                  <button
+                    onClick={() => setEditing({ id: item.id, name: item.name, original: item.name, tags: item.tags.join(", ") })}
+                    className="text-blue-600 hover:text-blue-800 font-semibold"
+                  >
+                    ✏️ Rename
+                  </button>
+                  <button
+                    onClick={() => handleDelete(item)}
+                    className="text-red-600 hover:text-red-800 font-semibold"
+                  >
+                    🗑️ Delete
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {items.length === 0 && !error && (
+        <p className="text-sm text-gray-500">No saved garments yet. Everything you save stays on this device.</p>
+      )}
+      {items.length > 0 && visibleItems.length === 0 && (
+        <p className="text-sm text-gray-500">No garments match "{query}".</p>
+      )}
+    </div>
+  );
+}
+
+export default WardrobePanel;
@@ -0,0 +1,290 @@
+// utils/bodyMesh.js
+// Body geometry from 2D keypoints: shoulder, torso, arm and leg meshes,
+// orientation and turn, and measurements scaled from the user's height (or a
+// scale calibration, or measured circumferences when available).
+
+// Shoulder width over shoulder-to-hip length when squarely facing the camera
+const FRONT_SHOULDER_RATIO = 0.75;
+
+export class BodyMesh3D {
+  constructor(height) {
+    this.height = height;
+    this.bodyOrientation = 'front'; // 'front' or 'back'
+    this.circumferences = null; // measured { chest, waist, hip } in cm
+    this.scaleCalibration = null; // { torsoLengthCm } from a reference object
+  }
+
+  // Use circumferences from a front + side capture instead of the
+  // shoulder-width ratios
+  setCircumferences(circumferences) {
+    this.circumferences = circumferences;
+  }
+
+  // Replace the typed-height scale with one derived from a reference object.
+  // The scale is stored as the torso's real length so it keeps tracking the
+  // user as they move closer to or away from the camera.
+  setScaleCalibration(calibration) {
+    this.scaleCalibration = calibration;
+  }
+
+  // Yaw in degrees from 3D keypoints (BlazePose: metres, x right, y down,
+  // z away from the camera): 0 facing the camera, ±180 facing away,
+  // positive when turned towards the person's own left. The shoulder and hip
+  // lines are averaged so a hidden pair still gives an angle. Returns null
+  // when neither pair is visible.
+  estimateYaw(keypoints3D) {
+    if (!keypoints3D) return null;
+    const kp = {};
+    keypoints3D.forEach(k => {
+      if (k.score > 0.3) kp[k.name] = k;
+    });
+
+    let x = 0;
+    let z = 0;
+    ['shoulder', 'hip'].forEach(joint => {
+      const left = kp[`left_${joint}`];
+      const right = kp[`right_${joint}`];
+      if (!left || !right) return;
+      // Facing the camera the person's right side is on the image left
+      x += left.x - right.x;
+      z += left.z - right.z;
+    });
+    if (x === 0 && z === 0) return null;
+
+    return Math.atan2(z, x) * 180 / Math.PI;
+  }
+
+  orientationFromYaw(yaw) {
+    const turn = Math.abs(yaw);
+    if (turn <= 50) return 'front';
+    if (turn >= 130) return 'back';
+    return 'side';
+  }
+
+  // Signed turn in degrees on the estimateYaw scale, for cross-fading garment
+  // views. Without 3D keypoints the angle comes from how narrow the shoulders
+  // look against the torso, kept inside the range of the 2D orientation
+  // label, and the nose offset gives the direction.
+  estimateTurn(kp, yaw) {
+    if (yaw !== null) return yaw;
+
+    const [min, max] = { front: [0, 50], side: [50, 130], back: [130, 180] }[this.bodyOrientation];
+    const torsoLength = this.measureTorsoLength(kp);
+    let turn = (min + max) / 2;
+    if (torsoLength) {
+      const shoulderWidth = Math.abs(kp.right_shoulder.x - kp.left_shoulder.x);
+      const width = Math.min(1, shoulderWidth / (torsoLength * FRONT_SHOULDER_RATIO));
+      const away = Math.acos(width) * 180 / Math.PI;
+      turn = this.bodyOrientation === 'back' ? 180 - away : away;
+    }
+    turn = Math.min(max, Math.max(min, turn));
+
+    const shoulderMidX = (kp.left_shoulder.x + kp.right_shoulder.x) / 2;
+    return kp.nose && kp.nose.x < shoulderMidX ? -turn : turn;
+  }
+
+  // 2D fallback for detectors without 3D keypoints
+  detectOrientation(keypoints) {
+    // Detect if user is facing front or back based on nose and shoulder positions
+    const kp = {};
+    keypoints.forEach(k => {
+      if (k.score > 0.3) kp[k.name] = k;
+    });
+
+    if (!kp.nose || !kp.left_shoulder || !kp.right_shoulder) {
+      return 'front';
+    }
+
+    const shoulderMidX = (kp.left_shoulder.x + kp.right_shoulder.x) / 2;
+    const noseX = kp.nose.x;
+    const offsetRatio = Math.abs(noseX - shoulderMidX) / Math.abs(kp.right_shoulder.x - kp.left_shoulder.x);
+
+    // If nose is far from shoulder center, likely turned
+    if (offsetRatio > 0.4) {
+      return 'side';
+    }
+
+    // Check if shoulders are wider than hips (front) or narrower (back)
+    if (kp.left_hip && kp.right_hip) {
+      const shoulderWidth = Math.abs(kp.right_shoulder.x - kp.left_shoulder.x);
+      const hipWidth = Math.abs(kp.right_hip.x - kp.left_hip.x);
+      
+      if (shoulderWidth < hipWidth * 0.8) {
+        return 'back';
+      }
+    }
+
+    return 'front';
+  }
+
+  buildBodyMesh(keypoints, keypoints3D = null) {
+    const kp = {};
+    keypoints.forEach(k => {
+      if (k.score > 0.3) kp[k.name] = k;
+    });
+
+    if (!kp.left_shoulder || !kp.right_shoulder) return null;
+
+    const shoulderWidth = Math.abs(kp.right_shoulder.x - kp.left_shoulder.x);
+    const pixelsPerCm = this.getPixelsPerCm(kp);
+    
+    const yaw = this.estimateYaw(keypoints3D);
+    this.bodyOrientation = yaw === null ? this.detectOrientation(keypoints) : this.orientationFromYaw(yaw);
+
+    // Build detailed body mesh points
+    const mesh = {
+      // Upper body
+      shoulders: {
+        left: kp.left_shoulder,
+        right: kp.right_shoulder,
+        center: {
+          x: (kp.left_shoulder.x + kp.right_shoulder.x) / 2,
+          y: (kp.left_shoulder.y + kp.right_shoulder.y) / 2
+        }
+      },
+      
+      // Chest/Bust points (interpolated)
+      chest: this.interpolateChestPoints(kp, shoulderWidth),
+      
+      // Waist
+      waist: kp.left_hip && kp.right_hip ? {
+        left: { x: kp.left_hip.x, y: (kp.left_hip.y + kp.left_shoulder.y) / 2 },
+        right: { x: kp.right_hip.x, y: (kp.right_hip.y + kp.right_shoulder.y) / 2 },
+        center: {
+          x: (kp.left_hip.x + kp.right_hip.x) / 2,
+          y: (kp.left_hip.y + kp.right_hip.y + kp.left_shoulder.y + kp.right_shoulder.y) / 4
+        }
+      } : null,
+      
+      // Hips
+      hips: kp.left_hip && kp.right_hip ? {
+        left: kp.left_hip,
+        right: kp.right_hip,
+        center: {
+          x: (kp.left_hip.x + kp.right_hip.x) / 2,
+          y: (kp.left_hip.y + kp.right_hip.y) / 2
+        }
+      } : null,
+      
+      // Arms
+      arms: {
+        left: this.buildArmMesh(kp, 'left'),
+        right: this.buildArmMesh(kp, 'right')
+      },
+      
+      // Legs
+      legs: {
+        left: this.buildLegMesh(kp, 'left'),
+        right: this.buildLegMesh(kp, 'right')
+      },
+      
+      // Body contour (outline for fitting)
+      contour: this.buildBodyContour(kp),
+      
+      // Measurements
+      measurements: {
+        shoulderWidth: shoulderWidth / pixelsPerCm,
+        chest: this.circumferences?.chest ?? shoulderWidth * 1.25 / pixelsPerCm,
+        waist: this.circumferences?.waist ?? shoulderWidth * 0.9 / pixelsPerCm,
+        hip: this.circumferences?.hip ?? shoulderWidth * 1.15 / pixelsPerCm,
+        pixelsPerCm: pixelsPerCm,
+        measured: !!this.circumferences,
+        calibrated: !!this.scaleCalibration
+      },
+      
+      orientation: this.bodyOrientation,
+      // Degrees (see estimateYaw), null when orientation came from the 2D heuristic
+      yaw,
+      turn: this.estimateTurn(kp, yaw),
+      keypoints: kp
+    };
+
+    return mesh;
+  }
+
+  interpolateChestPoints(kp, shoulderWidth) {
+    if (!kp.left_shoulder || !kp.right_shoulder) return null;
+    
+    const chestY = kp.left_shoulder.y + shoulderWidth * 0.4;
+    const chestExpansion = shoulderWidth * 0.15;
+    
+    return {
+      left: { x: kp.left_shoulder.x - chestExpansion, y: chestY },
+      right: { x: kp.right_shoulder.x + chestExpansion, y: chestY },
+      center: {
+        x: (kp.left_shoulder.x + kp.right_shoulder.x) / 2,
+        y: chestY
+      }
+    };
+  }
+
+  buildArmMesh(kp, side) {
+    const shoulder = kp[`${side}_shoulder`];
+    const elbow = kp[`${side}_elbow`];
+    const wrist = kp[`${side}_wrist`];
+    
+    if (!shoulder) return null;
+    
+    return {
+      shoulder,
+      elbow: elbow || { x: shoulder.x + (side === 'left' ? -30 : 30), y: shoulder.y + 60 },
+      wrist: wrist || (elbow ? { x: elbow.x, y: elbow.y + 60 } : { x: shoulder.x, y: shoulder.y + 120 })
+    };
+  }
+
+  buildLegMesh(kp, side) {
+    const hip = kp[`${side}_hip`];
+    const knee = kp[`${side}_knee`];
+    const ankle = kp[`${side}_ankle`];
+    
+    if (!hip) return null;
+    
+    return {
+      hip,
+      knee: knee || { x: hip.x, y: hip.y + 80 },
+      ankle: ankle || (knee ? { x: knee.x, y: knee.y + 80 } : { x: hip.x, y: hip.y + 160 })
+    };
+  }
+
+  buildBodyContour(kp) {
+    // Create a smooth body outline for cloth wrapping
+    const contour = [];
+    
+    if (kp.left_shoulder) contour.push(kp.left_shoulder);
+    if (kp.left_elbow) contour.push(kp.left_elbow);
+    if (kp.left_hip) contour.push(kp.left_hip);
+    if (kp.left_knee) contour.push(kp.left_knee);
+    if (kp.right_knee) contour.push(kp.right_knee);
+    if (kp.right_hip) contour.push(kp.right_hip);
+    if (kp.right_elbow) contour.push(kp.right_elbow);
+    if (kp.right_shoulder) contour.push(kp.right_shoulder);
+    
+    return contour;
+  }
+
+  // Image pixels per real centimetre: from the calibrated torso length when
+  // there is one, else from the typed height
+  getPixelsPerCm(kp) {
+    const torsoLength = this.measureTorsoLength(kp);
+    if (this.scaleCalibration && torsoLength) {
+      return torsoLength / this.scaleCalibration.torsoLengthCm;
+    }
+    return this.estimateBodyHeight(kp) / this.height;
+  }
+
+  measureTorsoLength(kp) {
+    if (!kp.left_shoulder || !kp.right_shoulder || !kp.left_hip || !kp.right_hip) return null;
+    return Math.hypot(
+      (kp.left_hip.x + kp.right_hip.x - kp.left_shoulder.x - kp.right_shoulder.x) / 2,
+      (kp.left_hip.y + kp.right_hip.y - kp.left_shoulder.y - kp.right_shoulder.y) / 2
+    );
+  }
+
+  estimateBodyHeight(kp) {
+    if (kp.nose && kp.left_ankle && kp.right_ankle) {
+      const avgAnkle = (kp.left_ankle.y + kp.right_ankle.y) / 2;
+      return Math.abs(avgAnkle - kp.nose.y);
+    }
+    return 400;
+  }
+}
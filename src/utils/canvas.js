@@ -0,0 +1,11 @@
+// utils/canvas.js
+// Scratch canvases for code that also runs in the try-on worker, where there
+// is no document and OffscreenCanvas is the only canvas.
+
+export function createCanvas(width = 300, height = 150) {
+  if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
@@ -0,0 +1,259 @@
+// utils/catalog.js
+// Bulk garment import/export. A catalog is a ZIP (or a folder) holding a
+// catalog.json manifest plus the image files it points to:
+//
+// {
+//   "format": "virtual-try-on-catalog",
+//   "version": 1,
+//   "name": "Spring collection",
+//   "garments": [{
+//     "name": "Linen Shirt",
+//     "clothingType": "shirt",               // shirt | jacket | dress | pants
+//     "images": {
+//       "front": "images/linen-front.jpg",   // required
+//       "back": "images/linen-back.jpg",     // optional
+//       "side": "images/linen-side.jpg",     // optional profile view, facing image left
+//       "frontCutout": "images/linen-front-cutout.png", // optional, background removed
+//       "backCutout": "images/linen-back-cutout.png",
+//       "sideCutout": "images/linen-side-cutout.png"
+//     },
+//     "tags": ["summer"],                    // optional
+//     "sizeChart": "charts/brand.csv",       // optional: path or inline chart (utils/sizeRecommendation)
+//     "anchors": { "front": { "collar": { "x": 0.5, "y": 0.05 } }, "back": {} } // optional, utils/garmentAnchors
+//   }]
+// }
+//
+// Paths are relative to the manifest. Imported garments use the
+// utils/outfit garment shape with an extra sizeChart field.
+
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { parseSizeChart } from './sizeRecommendation';
+
+export const CATALOG_FORMAT = 'virtual-try-on-catalog';
+export const CATALOG_VERSION = 1;
+
+const MANIFEST_NAMES = ['catalog.json', 'manifest.json'];
+const CLOTHING_TYPES = ['shirt', 'jacket', 'dress', 'pants'];
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+const extensionOf = (path) => path.split('.').pop().toLowerCase();
+const baseName = (path) => path.split('/').pop();
+
+function bytesToDataUrl(bytes, path) {
+  const mime = MIME_TYPES[extensionOf(path)];
+  if (!mime) throw new Error(`Unsupported image type: ${path}`);
+
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return `data:${mime};base64,${btoa(binary)}`;
+}
+
+function dataUrlToBytes(dataUrl) {
+  const [header, data] = dataUrl.split(',');
+  const mime = header.match(/^data:([^;]+)/)?.[1] || 'image/png';
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  const extension = Object.keys(MIME_TYPES).find((ext) => MIME_TYPES[ext] === mime) || 'png';
+  return { bytes, extension };
+}
+
+// Resolves "images/a.png" or "../a.png" against the manifest's directory
+function resolvePath(directory, relative) {
+  const parts = directory ? directory.split('/') : [];
+  relative.split('/').forEach((part) => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+/**
+ * Reads the files picked for import into a Map of path -> bytes. Accepts a
+ * single .zip or the contents of a folder (input with webkitdirectory).
+ */
+export async function readCatalogFiles(fileList) {
+  const list = [...fileList];
+  if (list.length === 1 && extensionOf(list[0].name) === 'zip') {
+    const entries = unzipSync(new Uint8Array(await list[0].arrayBuffer()));
+    return new Map(Object.entries(entries).filter(([path]) => !path.endsWith('/')));
+  }
+
+  const files = new Map();
+  for (const file of list) {
+    files.set(file.webkitRelativePath || file.name, new Uint8Array(await file.arrayBuffer()));
+  }
+  return files;
+}
+
+function findManifest(files) {
+  const candidates = [...files.keys()]
+    .filter((path) => MANIFEST_NAMES.includes(baseName(path).toLowerCase()) && !path.startsWith('__MACOSX/'))
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  if (candidates.length === 0) {
+    throw new Error(`No ${MANIFEST_NAMES.join(' or ')} found in the catalog`);
+  }
+  return candidates[0];
+}
+
+function normalizeAnchors(anchors) {
+  if (!anchors || typeof anchors !== 'object') return null;
+  const result = {};
+  Object.entries(anchors).forEach(([key, point]) => {
+    const x = Number(point?.x);
+    const y = Number(point?.y);
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      result[key] = { x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)) };
+    }
+  });
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Parses a catalog from readCatalogFiles output.
+ *
+ * @returns {{ name: string, garments: Array }} garments ready for the editor
+ */
+export function parseCatalog(files) {
+  const manifestPath = findManifest(files);
+  const directory = manifestPath.split('/').slice(0, -1).join('/');
+
+  let manifest;
+  try {
+    manifest = JSON.parse(strFromU8(files.get(manifestPath)));
+  } catch (error) {
+    throw new Error(`${manifestPath} is not valid JSON: ${error.message}`);
+  }
+  if (manifest.format && manifest.format !== CATALOG_FORMAT) {
+    throw new Error(`Unknown catalog format: ${manifest.format}`);
+  }
+  if (manifest.version && manifest.version > CATALOG_VERSION) {
+    throw new Error(`Catalog version ${manifest.version} is newer than this app supports`);
+  }
+  if (!Array.isArray(manifest.garments) || manifest.garments.length === 0) {
+    throw new Error('Catalog lists no garments');
+  }
+
+  const readFile = (path, label) => {
+    const resolved = resolvePath(directory, path);
+    const bytes = files.get(resolved);
+    if (!bytes) throw new Error(`${label}: file not found (${path})`);
+    return { bytes, resolved };
+  };
+  const readImage = (path, label) => {
+    if (!path) return null;
+    const { bytes, resolved } = readFile(path, label);
+    return bytesToDataUrl(bytes, resolved);
+  };
+
+  const garments = manifest.garments.map((entry, index) => {
+    const label = `Garment ${index + 1}${entry.name ? ` (${entry.name})` : ''}`;
+    if (!CLOTHING_TYPES.includes(entry.clothingType)) {
+      throw new Error(`${label}: clothingType must be one of ${CLOTHING_TYPES.join(', ')}`);
+    }
+    if (!entry.images?.front) throw new Error(`${label}: images.front is required`);
+
+    let sizeChart = null;
+    if (typeof entry.sizeChart === 'string') {
+      const { bytes, resolved } = readFile(entry.sizeChart, label);
+      sizeChart = parseSizeChart(strFromU8(bytes), baseName(resolved));
+    } else if (entry.sizeChart) {
+      sizeChart = parseSizeChart(JSON.stringify(entry.sizeChart), `${entry.name || 'size-chart'}.json`);
+    }
+
+    return {
+      name: entry.name || baseName(entry.images.front),
+      clothingType: entry.clothingType,
+      tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+      frontClothing: readImage(entry.images.front, `${label} front`),
+      backClothing: readImage(entry.images.back, `${label} back`),
+      sideClothing: readImage(entry.images.side, `${label} side`),
+      refinedFront: readImage(entry.images.frontCutout, `${label} front cutout`),
+      refinedBack: readImage(entry.images.backCutout, `${label} back cutout`),
+      refinedSide: readImage(entry.images.sideCutout, `${label} side cutout`),
+      frontAnchors: normalizeAnchors(entry.anchors?.front),
+      backAnchors: normalizeAnchors(entry.anchors?.back),
+      sizeChart
+    };
+  });
+
+  return { name: manifest.name || baseName(manifestPath), garments };
+}
+
+const slugify = (text) =>
+  String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'garment';
+
+/**
+ * Writes garments (utils/outfit shape, optional sizeChart) to a catalog ZIP
+ * that parseCatalog reads back.
+ */
+export function buildCatalogZip(garments, name = 'Catalog') {
+  const files = {};
+  const chartPaths = new Map();
+  const usedSlugs = new Set();
+
+  const addImage = (dataUrl, path) => {
+    if (!dataUrl) return undefined;
+    const { bytes, extension } = dataUrlToBytes(dataUrl);
+    const fullPath = `${path}.${extension}`;
+    files[fullPath] = bytes;
+    return fullPath;
+  };
+
+  const entries = garments.map((garment) => {
+    let slug = slugify(garment.name);
+    for (let n = 2; usedSlugs.has(slug); n++) slug = `${slugify(garment.name)}-${n}`;
+    usedSlugs.add(slug);
+
+    // Charts shared between garments are written once
+    let sizeChart;
+    if (garment.sizeChart) {
+      if (!chartPaths.has(garment.sizeChart)) {
+        const path = `charts/${slugify(garment.sizeChart.name)}-${chartPaths.size + 1}.json`;
+        files[path] = strToU8(JSON.stringify({ ...garment.sizeChart, unit: 'cm' }, null, 2));
+        chartPaths.set(garment.sizeChart, path);
+      }
+      sizeChart = chartPaths.get(garment.sizeChart);
+    }
+
+    const anchors = garment.frontAnchors || garment.backAnchors
+      ? { front: garment.frontAnchors || undefined, back: garment.backAnchors || undefined }
+      : undefined;
+
+    return {
+      name: garment.name,
+      clothingType: garment.clothingType,
+      images: {
+        front: addImage(garment.frontClothing, `images/${slug}-front`),
+        back: addImage(garment.backClothing, `images/${slug}-back`),
+        side: addImage(garment.sideClothing, `images/${slug}-side`),
+        frontCutout: addImage(garment.refinedFront, `images/${slug}-front-cutout`),
+        backCutout: addImage(garment.refinedBack, `images/${slug}-back-cutout`),
+        sideCutout: addImage(garment.refinedSide, `images/${slug}-side-cutout`)
+      },
+      tags: garment.tags?.length ? garment.tags : undefined,
+      sizeChart,
+      anchors
+    };
+  });
+
+  files['catalog.json'] = strToU8(JSON.stringify({
+    format: CATALOG_FORMAT,
+    version: CATALOG_VERSION,
+    name,
+    garments: entries
+  }, null, 2));
+
+  // Images are already compressed
+  return zipSync(files, { level: 0 });
+}
@@ -0,0 +1,83 @@
+import { strToU8, unzipSync } from 'fflate';
+import { describe, expect, it } from 'vitest';
+import { buildCatalogZip, parseCatalog } from './catalog';
+import { parseSizeChart } from './sizeRecommendation';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQ';
+
+const unzip = (zip) => new Map(Object.entries(unzipSync(zip)));
+const manifest = (garments, extra = {}) =>
+  strToU8(JSON.stringify({ format: 'virtual-try-on-catalog', version: 1, name: 'Test', garments, ...extra }));
+
+describe('buildCatalogZip / parseCatalog', () => {
+  it('round-trips garments with images, tags, anchors and a shared chart', () => {
+    const chart = parseSizeChart('size,chest\nM,94-101\n', 'brand.csv');
+    const garments = [
+      {
+        name: 'Linen Shirt',
+        clothingType: 'shirt',
+        frontClothing: JPEG,
+        backClothing: PNG,
+        refinedFront: PNG,
+        frontAnchors: { collar: { x: 0.5, y: 0.05 } },
+        tags: ['summer'],
+        sizeChart: chart
+      },
+      { name: 'Linen Shirt', clothingType: 'jacket', frontClothing: PNG, sizeChart: chart }
+    ];
+
+    const files = unzip(buildCatalogZip(garments, 'Spring'));
+    expect([...files.keys()].filter((path) => path.startsWith('charts/'))).toHaveLength(1);
+    expect(files.has('images/linen-shirt-2-front.png')).toBe(true);
+
+    const catalog = parseCatalog(files);
+    expect(catalog.name).toBe('Spring');
+    expect(catalog.garments[0]).toEqual({
+      name: 'Linen Shirt',
+      clothingType: 'shirt',
+      tags: ['summer'],
+      frontClothing: JPEG,
+      backClothing: PNG,
+      sideClothing: null,
+      refinedFront: PNG,
+      refinedBack: null,
+      refinedSide: null,
+      frontAnchors: { collar: { x: 0.5, y: 0.05 } },
+      backAnchors: null,
+      sizeChart: chart
+    });
+    expect(catalog.garments[1]).toMatchObject({ clothingType: 'jacket', tags: [], frontClothing: PNG });
+  });
+
+  it('resolves paths against a manifest in a folder and reads inline charts', () => {
+    const files = new Map([
+      ['shop/catalog.json', manifest([{
+        clothingType: 'dress',
+        images: { front: './img/../img/dress.png' },
+        sizeChart: { sizes: [{ size: 'S', hip: [88, 93] }] },
+        anchors: { front: { hem: { x: 2, y: -1 }, bad: { x: 'a' } } }
+      }])],
+      ['shop/img/dress.png', new Uint8Array([1, 2, 3])]
+    ]);
+    const [dress] = parseCatalog(files).garments;
+    expect(dress.name).toBe('dress.png');
+    expect(dress.frontClothing).toBe('data:image/png;base64,AQID');
+    expect(dress.sizeChart.sizes[0].ranges).toEqual({ hip: [88, 93] });
+    expect(dress.frontAnchors).toEqual({ hem: { x: 1, y: 0 } });
+  });
+
+  it('explains what is wrong with a bad catalog', () => {
+    const image = ['a.png', new Uint8Array([1])];
+    expect(() => parseCatalog(new Map([image]))).toThrow('No catalog.json or manifest.json');
+    expect(() => parseCatalog(new Map([['catalog.json', strToU8('{')]]))).toThrow('catalog.json is not valid JSON');
+    expect(() => parseCatalog(new Map([['catalog.json', manifest([], { version: 2 })]]))).toThrow('newer than this app');
+    expect(() => parseCatalog(new Map([['catalog.json', manifest([])]]))).toThrow('lists no garments');
+    expect(() => parseCatalog(new Map([
+      ['catalog.json', manifest([{ name: 'Hat', clothingType: 'hat', images: { front: 'a.png' } }])], image
+    ]))).toThrow('Garment 1 (Hat): clothingType must be one of');
+    expect(() => parseCatalog(new Map([
+      ['catalog.json', manifest([{ clothingType: 'shirt', images: { front: 'missing.png' } }])], image
+    ]))).toThrow('Garment 1 front: file not found (missing.png)');
+  });
+});
@@ -0,0 +1,128 @@
+// utils/circumference.js
+// Circumference estimation from a front view (body width) and a side view
+// (body depth). Widths are read from the person mask along horizontal lines
+// at chest, waist and hip height; each cross-section is treated as an ellipse.
+
+// Fraction of the way from shoulder line to hip line
+export const MEASUREMENT_LINES = {
+  chest: 0.3,
+  waist: 0.6,
+  hip: 1.0
+};
+
+const MIN_SCORE = 0.3;
+const ALPHA_THRESHOLD = 128;
+
+const average = (points) => points.reduce((sum, p) => sum + p, 0) / points.length;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Image rows for each measurement line plus the body's centre column.
+ * Works from whichever shoulder/hip is visible, so side views (where the far
+ * side is hidden) still qualify.
+ */
+export function getMeasurementLines(keypoints) {
+  const kp = {};
+  keypoints.forEach((k) => {
+    if (k.score > MIN_SCORE) kp[k.name] = k;
+  });
+
+  const shoulders = [kp.left_shoulder, kp.right_shoulder].filter(Boolean);
+  const hips = [kp.left_hip, kp.right_hip].filter(Boolean);
+  if (shoulders.length === 0 || hips.length === 0) return null;
+
+  const shoulderY = average(shoulders.map((p) => p.y));
+  const hipY = average(hips.map((p) => p.y));
+  if (hipY <= shoulderY) return null;
+
+  const lines = {};
+  Object.entries(MEASUREMENT_LINES).forEach(([name, t]) => {
+    lines[name] = shoulderY + (hipY - shoulderY) * t;
+  });
+
+  return {
+    lines,
+    centerX: average([...shoulders, ...hips].map((p) => p.x))
+  };
+}
+
+// Length of the run of person pixels in a mask row that contains (or is
+// nearest to) centerX
+function measureRow(row, width, centerX) {
+  const isPerson = (x) => row[x * 4 + 3] >= ALPHA_THRESHOLD;
+  let x = Math.round(Math.min(width - 1, Math.max(0, centerX)));
+
+  if (!isPerson(x)) {
+    const search = Math.round(width * 0.05);
+    let found = -1;
+    for (let d = 1; d <= search && found < 0; d++) {
+      if (x - d >= 0 && isPerson(x - d)) found = x - d;
+      else if (x + d < width && isPerson(x + d)) found = x + d;
+    }
+    if (found < 0) return 0;
+    x = found;
+  }
+
+  let left = x;
+  let right = x;
+  while (left > 0 && isPerson(left - 1)) left--;
+  while (right < width - 1 && isPerson(right + 1)) right++;
+  return right - left + 1;
+}
+
+/**
+ * Silhouette width (cm) at each measurement line.
+ *
+ * @param {HTMLCanvasElement} mask - person mask (alpha = person)
+ * @param {Object} measurementLines - from getMeasurementLines
+ * @param {number} pixelsPerCm - image scale
+ * @returns {Object|null} { chest, waist, hip } in cm
+ */
+export function measureSilhouette(mask, measurementLines, pixelsPerCm) {
+  if (!mask || !measurementLines || !(pixelsPerCm > 0)) return null;
+
+  const ctx = mask.getContext('2d');
+  const result = {};
+  for (const [name, y] of Object.entries(measurementLines.lines)) {
+    const rowY = Math.round(Math.min(mask.height - 1, Math.max(0, y)));
+    const row = ctx.getImageData(0, rowY, mask.width, 1).data;
+    const run = measureRow(row, mask.width, measurementLines.centerX);
+    if (run === 0) return null;
+    result[name] = run / pixelsPerCm;
+  }
+  return result;
+}
+
+/**
+ * Ramanujan's approximation of an ellipse perimeter from its full width and
+ * depth.
+ */
+export function ellipseCircumference(width, depth) {
+  const a = width / 2;
+  const b = depth / 2;
+  return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+}
+
+/**
+ * Combines front-view widths and side-view depths (arrays of
+ * measureSilhouette results) into circumferences, using the median of each
+ * view to reject frames where an arm or a bad mask got in the way.
+ */
+export function estimateCircumferences(frontSamples, sideSamples) {
+  if (frontSamples.length === 0 || sideSamples.length === 0) return null;
+
+  const result = { widths: {}, depths: {} };
+  Object.keys(MEASUREMENT_LINES).forEach((name) => {
+    const width = median(frontSamples.map((s) => s[name]));
+    const depth = median(sideSamples.map((s) => s[name]));
+    result.widths[name] = width;
+    result.depths[name] = depth;
+    result[name] = ellipseCircumference(width, depth);
+  });
+  return result;
+}
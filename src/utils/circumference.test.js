@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { ellipseCircumference, estimateCircumferences, getMeasurementLines } from './circumference';
+
+describe('ellipseCircumference', () => {
+  it('is exact for a circle', () => {
+    expect(ellipseCircumference(10, 10)).toBeCloseTo(Math.PI * 10, 10);
+  });
+
+  it('matches the known perimeter of a 2:1 ellipse', () => {
+    // Semi-axes 2 and 1: perimeter 9.688448...
+    expect(ellipseCircumference(4, 2)).toBeCloseTo(9.68845, 4);
+  });
+
+  it('does not depend on which axis is the width', () => {
+    expect(ellipseCircumference(32, 24)).toBe(ellipseCircumference(24, 32));
+  });
+});
+
+describe('estimateCircumferences', () => {
+  it('uses the median of each view', () => {
+    const front = [
+      { chest: 30, waist: 28, hip: 34 },
+      { chest: 32, waist: 28, hip: 34 },
+      // An arm widened this frame
+      { chest: 60, waist: 28, hip: 34 }
+    ];
+    const side = [{ chest: 24, waist: 20, hip: 26 }, { chest: 26, waist: 22, hip: 28 }];
+    const result = estimateCircumferences(front, side);
+    expect(result.widths).toEqual({ chest: 32, waist: 28, hip: 34 });
+    expect(result.depths).toEqual({ chest: 25, waist: 21, hip: 27 });
+    expect(result.chest).toBe(ellipseCircumference(32, 25));
+  });
+
+  it('needs both views', () => {
+    expect(estimateCircumferences([{ chest: 30, waist: 28, hip: 34 }], [])).toBeNull();
+  });
+});
+
+describe('getMeasurementLines', () => {
+  it('places lines between the shoulder and hip rows', () => {
+    const result = getMeasurementLines([
+      { name: 'left_shoulder', x: 90, y: 100, score: 0.9 },
+      { name: 'right_shoulder', x: 110, y: 100, score: 0.9 },
+      { name: 'left_hip', x: 95, y: 200, score: 0.9 },
+      { name: 'right_hip', x: 105, y: 200, score: 0.9 }
+    ]);
+    expect(result.lines).toEqual({ chest: 130, waist: 160, hip: 200 });
+    expect(result.centerX).toBe(100);
+  });
+
+  it('works from one side in profile and needs a hip below the shoulder', () => {
+    const side = [
+      { name: 'left_shoulder', x: 100, y: 100, score: 0.9 },
+      { name: 'left_hip', x: 100, y: 200, score: 0.9 }
+    ];
+    expect(getMeasurementLines(side)).not.toBeNull();
+    expect(getMeasurementLines([side[0], { ...side[1], y: 90 }])).toBeNull();
+    expect(getMeasurementLines([side[0], { ...side[1], score: 0.1 }])).toBeNull();
+  });
+});
@@ -0,0 +1,229 @@
+// utils/clothSimulation.js
+// Verlet cloth for the loose parts of a garment. Each frame the renderer
+// builds its usual grid from the keypoints and that grid becomes the rest
+// shape: rows near the shoulders or waist follow it exactly, lower rows keep
+// their momentum, fall under gravity and are pulled back towards it, so hems
+// swing and cuffs lag behind fast moves instead of being glued to the body.
+
+const RESET_AFTER_MS = 500;
+// Longest step simulated at once; slower frame rates run in slow motion
+// rather than exploding
+const MAX_STEP = 1 / 20;
+const ITERATIONS = 3;
+const STANDARD_GRAVITY = 981; // cm/s²
+// Shoulder line to hip line on an average adult, for scaling gravity to the
+// image when the body's scale has not been calibrated
+const TORSO_LENGTH_CM = 50;
+// Leg collider radius as a share of hip width
+const LEG_RADIUS = 0.22;
+
+/**
+ * Per garment type:
+ *   stiffness - share of the way back to the rest shape per 30 fps frame
+ *   damping   - share of velocity lost per 30 fps frame
+ *   gravity   - multiple of real gravity
+ *   pinned    - per grid section, the fraction of rows from the top held to
+ *               the body; sections not listed (and pants) stay rigid
+ */
+export const CLOTH_PRESETS = {
+  dress: { stiffness: 0.08, damping: 0.05, gravity: 0.6, pinned: { dress: 0.35 } },
+  shirt: { stiffness: 0.35, damping: 0.15, gravity: 0.3, pinned: { torso: 0.66, lowerSleeve: 0 } },
+  jacket: { stiffness: 0.25, damping: 0.12, gravity: 0.5, pinned: { torso: 0.66, lowerSleeve: 0 } }
+};
+
+function closestOnSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy || 1;
+  const t = Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return { x: a.x + dx * t, y: a.y + dy * t };
+}
+
+// Image pixels per cm for gravity. A reference-object calibration is exact;
+// otherwise the torso on screen is steadier than the height-based scale,
+// which needs the ankles in frame
+function gravityPixelsPerCm(mesh) {
+  const { measurements, shoulders, hips } = mesh;
+  if (measurements?.calibrated && measurements.pixelsPerCm > 0) return measurements.pixelsPerCm;
+  if (shoulders?.center && hips?.center) {
+    const torsoPx = Math.hypot(hips.center.x - shoulders.center.x, hips.center.y - shoulders.center.y);
+    if (torsoPx > 0) return torsoPx / TORSO_LENGTH_CM;
+  }
+  return measurements?.pixelsPerCm > 0 ? measurements.pixelsPerCm : 1;
+}
+
+// Thigh and shin capsules from BodyMesh3D.buildLegMesh
+function legColliders(mesh) {
+  const hipWidth = mesh.hips ? Math.abs(mesh.hips.right.x - mesh.hips.left.x) : 0;
+  const radius = Math.max(hipWidth * LEG_RADIUS, 4);
+  return [mesh.legs?.left, mesh.legs?.right]
+    .filter(Boolean)
+    .flatMap((leg) => [
+      { a: leg.hip, b: leg.knee, radius },
+      { a: leg.knee, b: leg.ankle, radius }
+    ]);
+}
+
+// Keeps cloth that hangs beside a leg from passing into or through it.
+// Cloth whose rest position is over the leg is in front of it and left alone.
+function collide(p, rest, { a, b, radius }) {
+  const restClosest = closestOnSegment(rest, a, b);
+  const restDx = rest.x - restClosest.x;
+  const restDy = rest.y - restClosest.y;
+  const restDistance = Math.hypot(restDx, restDy);
+  if (restDistance < radius) return;
+
+  const closest = closestOnSegment(p, a, b);
+  const dx = p.x - closest.x;
+  const dy = p.y - closest.y;
+  const distance = Math.hypot(dx, dy);
+  const sameSide = dx * restDx + dy * restDy > 0;
+  if (sameSide && distance >= radius) return;
+
+  // Back out to the surface on the rest shape's side
+  const nx = sameSide ? dx / distance : restDx / restDistance;
+  const ny = sameSide ? dy / distance : restDy / restDistance;
+  p.x = closest.x + nx * radius;
+  p.y = closest.y + ny * radius;
+}
+
+// Moves two points towards their rest distance; pinned points stay put
+function constrain(points, rest, i, j, pinnedCount) {
+  const moveI = i >= pinnedCount;
+  const moveJ = j >= pinnedCount;
+  if (!moveI && !moveJ) return;
+
+  const p = points[i];
+  const q = points[j];
+  const dx = q.x - p.x;
+  const dy = q.y - p.y;
+  const distance = Math.hypot(dx, dy) || 1e-6;
+  const restLength = Math.hypot(rest[j].x - rest[i].x, rest[j].y - rest[i].y);
+  const correction = (distance - restLength) / distance;
+  const shareI = moveI && moveJ ? 0.5 : moveI ? 1 : 0;
+  const shareJ = moveI && moveJ ? 0.5 : moveJ ? 1 : 0;
+
+  p.x += dx * correction * shareI;
+  p.y += dy * correction * shareI;
+  q.x -= dx * correction * shareJ;
+  q.y -= dy * correction * shareJ;
+}
+
+/**
+ * Cloth state for one person. Garment grids are keyed so each keeps its own
+ * points across frames; a grid drawn twice in a frame (occlusion passes,
+ * cross-faded views) is only stepped once.
+ */
+export class ClothSimulator {
+  constructor(presets = CLOTH_PRESETS) {
+    this.presets = presets;
+    this.states = new Map(); // key -> { points, previous, time }
+    this.time = null;
+  }
+
+  // Sets the time (ms) the next drape() calls simulate up to
+  advance(timestamp) {
+    // Replays loop back in time: start over
+    if (this.time !== null && timestamp < this.time) this.states.clear();
+    this.time = timestamp;
+    this.states.forEach((state, key) => {
+      if (timestamp - state.time > RESET_AFTER_MS) this.states.delete(key);
+    });
+  }
+
+  reset() {
+    this.states.clear();
+    this.time = null;
+  }
+
+  /**
+   * Simulates one grid ({ points, uvs, rows, cols }, rows top to bottom).
+   *
+   * @param {string} key - identifies the grid across frames
+   * @param {Object} grid - rest shape for this frame
+   * @param {string} clothingType - picks the preset
+   * @param {string} section - 'dress', 'torso' or 'lowerSleeve'
+   * @param {Object} mesh - BodyMesh3D mesh, for leg colliders and scale
+   * @returns {Object} the grid with simulated points
+   */
+  drape(key, grid, clothingType, section, mesh) {
+    const preset = this.presets[clothingType];
+    const pinned = preset?.pinned[section];
+    if (pinned === undefined || this.time === null || grid.points.length === 0) return grid;
+
+    const rest = grid.points;
+    let state = this.states.get(key);
+    if (state && (state.points.length !== rest.length || this.teleported(state, grid))) {
+      state = null;
+    }
+    if (!state) {
+      state = {
+        points: rest.map(p => ({ x: p.x, y: p.y })),
+        previous: rest.map(p => ({ x: p.x, y: p.y })),
+        top: { ...rest[0] },
+        time: this.time
+      };
+      this.states.set(key, state);
+    } else if (this.time > state.time) {
+      const dt = Math.min((this.time - state.time) / 1000, MAX_STEP);
+      state.time = this.time;
+      this.step(state, grid, preset, pinned, mesh, dt);
+    }
+
+    return { ...grid, points: state.points.map(p => ({ x: p.x, y: p.y })) };
+  }
+
+  // A seek or a detector jump moves the whole garment at once; swinging it
+  // there would look like a whip, so the cloth restarts instead
+  teleported(state, grid) {
+    const { points, rows, cols } = grid;
+    const height = Math.abs(points[(rows - 1) * cols].y - points[0].y);
+    return Math.hypot(points[0].x - state.top.x, points[0].y - state.top.y) > height * 0.5;
+  }
+
+  step(state, grid, preset, pinned, mesh, dt) {
+    const { rows, cols } = grid;
+    const rest = grid.points;
+    const { points, previous } = state;
+    const pinnedCount = (Math.floor(pinned * (rows - 1) + 1e-6) + 1) * cols;
+
+    // Frame-rate independent versions of the per-frame constants
+    const frames = dt * 30;
+    const pull = 1 - Math.pow(1 - preset.stiffness, frames);
+    const keep = Math.pow(1 - preset.damping, frames);
+    const gravity = STANDARD_GRAVITY * gravityPixelsPerCm(mesh) * preset.gravity * dt * dt;
+
+    points.forEach((p, i) => {
+      const target = rest[i];
+      if (i < pinnedCount) {
+        p.x = previous[i].x = target.x;
+        p.y = previous[i].y = target.y;
+        return;
+      }
+      const vx = (p.x - previous[i].x) * keep;
+      const vy = (p.y - previous[i].y) * keep;
+      previous[i].x = p.x;
+      previous[i].y = p.y;
+      p.x += vx + (target.x - p.x) * pull;
+      p.y += vy + gravity + (target.y - p.y) * pull;
+    });
+
+    const firstFreeRow = pinnedCount / cols;
+    for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+      for (let row = Math.max(firstFreeRow - 1, 0); row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const i = row * cols + col;
+          if (col + 1 < cols) constrain(points, rest, i, i + 1, pinnedCount);
+          if (row + 1 < rows) constrain(points, rest, i, i + cols, pinnedCount);
+        }
+      }
+    }
+
+    const colliders = legColliders(mesh);
+    for (let i = pinnedCount; i < points.length; i++) {
+      colliders.forEach(collider => collide(points[i], rest[i], collider));
+    }
+
+    state.top = { ...rest[0] };
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { ClothSimulator } from './clothSimulation';
+
+// 2 columns × 5 rows hanging from y = 0, 100 px long
+function grid(dx = 0) {
+  const points = [];
+  for (let row = 0; row < 5; row++) {
+    points.push({ x: dx, y: row * 25 }, { x: dx + 40, y: row * 25 });
+  }
+  return { points, uvs: [], rows: 5, cols: 2 };
+}
+
+function drape(simulator, timestamp, rest, type = 'dress', section = 'dress') {
+  simulator.advance(timestamp);
+  return simulator.drape('front', rest, type, section, {});
+}
+
+describe('ClothSimulator', () => {
+  it('leaves rigid garments and sections alone', () => {
+    const simulator = new ClothSimulator();
+    simulator.advance(0);
+    const rest = grid();
+    expect(simulator.drape('front', rest, 'pants', 'legs', {})).toBe(rest);
+    expect(simulator.drape('front', rest, 'shirt', 'upperSleeve', {})).toBe(rest);
+  });
+
+  it('starts at the rest shape', () => {
+    const simulator = new ClothSimulator();
+    expect(drape(simulator, 0, grid()).points).toEqual(grid().points);
+  });
+
+  it('holds the pinned rows and lets the hem hang', () => {
+    const simulator = new ClothSimulator();
+    let draped;
+    for (let t = 0; t <= 1000; t += 33) draped = drape(simulator, t, grid());
+    // 35% of 4 row gaps: the top two rows are pinned
+    expect(draped.points.slice(0, 4)).toEqual(grid().points.slice(0, 4));
+    expect(draped.points[9].y).toBeGreaterThan(100);
+  });
+
+  it('lets the hem lag behind a sideways move', () => {
+    const simulator = new ClothSimulator();
+    drape(simulator, 0, grid());
+    const draped = drape(simulator, 33, grid(20));
+    expect(draped.points[0].x).toBe(20);
+    expect(draped.points[8].x).toBeLessThan(20);
+  });
+
+  it('restarts when the garment jumps or time runs backwards', () => {
+    const simulator = new ClothSimulator();
+    drape(simulator, 0, grid());
+    drape(simulator, 33, grid(10));
+    expect(drape(simulator, 66, grid(200)).points).toEqual(grid(200).points);
+
+    drape(simulator, 99, grid(210));
+    expect(drape(simulator, 0, grid()).points).toEqual(grid().points);
+  });
+
+  it('forgets grids that were not drawn for a while', () => {
+    const simulator = new ClothSimulator();
+    drape(simulator, 0, grid());
+    drape(simulator, 33, grid(10));
+    expect(drape(simulator, 1000, grid(20)).points).toEqual(grid(20).points);
+  });
+});
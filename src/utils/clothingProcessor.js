@@ -0,0 +1,243 @@
+// utils/clothingProcessor.js
+// Enhanced Background Removal
+// Background = pixels connected to the image border whose colour matches a
+// model estimated from the border. Garment regions that happen to match the
+// backdrop but are enclosed by the garment are kept.
+export class ClothingProcessor {
+  static async removeBackground(imageElement, { threshold = 40, feather = 2 } = {}) {
+    return new Promise((resolve) => {
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      
+      canvas.width = imageElement.width;
+      canvas.height = imageElement.height;
+      
+      ctx.drawImage(imageElement, 0, 0);
+      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const data = imageData.data;
+      const { width, height } = canvas;
+      
+      const model = ClothingProcessor.estimateBackgroundModel(data, width, height);
+      let foreground = ClothingProcessor.floodFillForeground(data, width, height, model, threshold);
+      
+      // Close pinholes inside the garment, then drop isolated specks
+      foreground = ClothingProcessor.erode(ClothingProcessor.dilate(foreground, width, height, 1), width, height, 1);
+      foreground = ClothingProcessor.dilate(ClothingProcessor.erode(foreground, width, height, 1), width, height, 1);
+      
+      const alpha = ClothingProcessor.featherMask(foreground, width, height, feather);
+      for (let i = 0; i < alpha.length; i++) {
+        data[i * 4 + 3] = Math.min(data[i * 4 + 3], alpha[i]);
+      }
+      
+      ctx.putImageData(imageData, 0, 0);
+      
+      const processedImage = new Image();
+      processedImage.onload = () => resolve({
+        image: processedImage,
+        mask: { data: alpha, width, height }
+      });
+      processedImage.src = canvas.toDataURL();
+    });
+  }
+
+  // Clusters border pixels (k-means) into a few background colours, each with
+  // its own spread so gradients and uneven lighting are tolerated
+  static estimateBackgroundModel(data, width, height, k = 3) {
+    const samples = [];
+    const step = Math.max(1, Math.floor((width + height) * 2 / 400));
+    const sample = (x, y) => {
+      const i = (y * width + x) * 4;
+      samples.push([data[i], data[i + 1], data[i + 2]]);
+    };
+    for (let x = 0; x < width; x += step) {
+      sample(x, 0);
+      sample(x, height - 1);
+    }
+    for (let y = 0; y < height; y += step) {
+      sample(0, y);
+      sample(width - 1, y);
+    }
+
+    let centers = Array.from({ length: k }, (_, c) => samples[Math.floor(c * samples.length / k)].slice());
+    let assignments = new Array(samples.length).fill(0);
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+    for (let iter = 0; iter < 8; iter++) {
+      assignments = samples.map((px) => {
+        let best = 0;
+        centers.forEach((center, c) => {
+          if (distance(px, center) < distance(px, centers[best])) best = c;
+        });
+        return best;
+      });
+      centers = centers.map((center, c) => {
+        const members = samples.filter((_, i) => assignments[i] === c);
+        if (members.length === 0) return center;
+        return [0, 1, 2].map((ch) => members.reduce((sum, px) => sum + px[ch], 0) / members.length);
+      });
+    }
+
+    // Ignore clusters that are only a few border pixels (e.g. garment touching the edge)
+    return centers
+      .map((color, c) => {
+        const members = samples.filter((_, i) => assignments[i] === c);
+        const spread = members.length
+          ? Math.sqrt(members.reduce((sum, px) => sum + distance(px, color) ** 2, 0) / members.length)
+          : 0;
+        return { color, spread, share: members.length / samples.length };
+      })
+      .filter((cluster) => cluster.share >= 0.05);
+  }
+
+  // Per pixel, how far its colour lies outside the nearest background
+  // cluster (distance minus that cluster's spread). Also returns a 3×3
+  // box-blurred copy in which JPEG block noise averages out.
+  static modelDistanceMap(data, width, height, model) {
+    const total = width * height;
+    const raw = new Float32Array(total);
+    for (let p = 0; p < total; p++) {
+      const i = p * 4;
+      let nearest = Infinity;
+      model.forEach(({ color, spread }) => {
+        const d = Math.hypot(data[i] - color[0], data[i + 1] - color[1], data[i + 2] - color[2]) - spread;
+        if (d < nearest) nearest = d;
+      });
+      raw[p] = nearest;
+    }
+
+    const horizontal = new Float32Array(total);
+    const result = new Float32Array(total);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const row = y * width;
+        horizontal[row + x] = (raw[row + Math.max(0, x - 1)] + raw[row + x] + raw[row + Math.min(width - 1, x + 1)]) / 3;
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const above = Math.max(0, y - 1) * width + x;
+        const below = Math.min(height - 1, y + 1) * width + x;
+        result[y * width + x] = (horizontal[above] + horizontal[y * width + x] + horizontal[below]) / 3;
+      }
+    }
+    return { distance: raw, smoothed: result };
+  }
+
+  // Returns 1 for garment pixels, 0 for background reached from the border
+  static floodFillForeground(data, width, height, model, threshold) {
+    const total = width * height;
+    const background = new Uint8Array(total);
+    const queue = new Int32Array(total);
+    let head = 0;
+    let tail = 0;
+
+    const { distance, smoothed } = ClothingProcessor.modelDistanceMap(data, width, height, model);
+    const matchesModel = (p) => distance[p] < threshold;
+    // Stop where the colour turns sharply away from the backdrop so the fill
+    // does not leak into a garment that is close to the backdrop colour.
+    // Measured against the model (smoothed), not the neighbouring pixel, so
+    // noise in the backdrop itself is not mistaken for an edge.
+    const smoothStep = (a, b) => smoothed[b] - smoothed[a] < threshold * 0.5;
+    const seed = (p) => {
+      if (!background[p] && matchesModel(p)) {
+        background[p] = 1;
+        queue[tail++] = p;
+      }
+    };
+
+    for (let x = 0; x < width; x++) {
+      seed(x);
+      seed((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+      seed(y * width);
+      seed(y * width + width - 1);
+    }
+
+    while (head < tail) {
+      const p = queue[head++];
+      const x = p % width;
+      const neighbours = [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        p >= width ? p - width : -1,
+        p < total - width ? p + width : -1
+      ];
+      for (const n of neighbours) {
+        if (n >= 0 && !background[n] && smoothStep(p, n) && matchesModel(n)) {
+          background[n] = 1;
+          queue[tail++] = n;
+        }
+      }
+    }
+
+    const foreground = new Uint8Array(total);
+    for (let p = 0; p < total; p++) foreground[p] = background[p] ? 0 : 1;
+    return foreground;
+  }
+
+  // Separable square max filter
+  static dilate(mask, width, height, radius) {
+    const horizontal = new Uint8Array(mask.length);
+    const result = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let value = 0;
+        for (let dx = -radius; dx <= radius && !value; dx++) {
+          const nx = x + dx;
+          if (nx >= 0 && nx < width) value = mask[y * width + nx];
+        }
+        horizontal[y * width + x] = value;
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let value = 0;
+        for (let dy = -radius; dy <= radius && !value; dy++) {
+          const ny = y + dy;
+          if (ny >= 0 && ny < height) value = horizontal[ny * width + x];
+        }
+        result[y * width + x] = value;
+      }
+    }
+    return result;
+  }
+
+  static erode(mask, width, height, radius) {
+    const inverted = mask.map((v) => 1 - v);
+    return ClothingProcessor.dilate(inverted, width, height, radius).map((v) => 1 - v);
+  }
+
+  // Box-blurs the binary mask into a 0-255 alpha ramp at the garment edge
+  static featherMask(mask, width, height, radius) {
+    const alpha = new Uint8ClampedArray(mask.length);
+    if (radius <= 0) {
+      for (let i = 0; i < mask.length; i++) alpha[i] = mask[i] * 255;
+      return alpha;
+    }
+
+    const horizontal = new Float32Array(mask.length);
+    const size = radius * 2 + 1;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let dx = -radius; dx <= radius; dx++) {
+          const nx = Math.min(width - 1, Math.max(0, x + dx));
+          sum += mask[y * width + nx];
+        }
+        horizontal[y * width + x] = sum / size;
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+          const ny = Math.min(height - 1, Math.max(0, y + dy));
+          sum += horizontal[ny * width + x];
+        }
+        alpha[y * width + x] = Math.round(sum / size * 255);
+      }
+    }
+    return alpha;
+  }
+}
@@ -0,0 +1,995 @@
+// utils/clothingRenderer.js
+// Garment rendering: wraps garment images around a BodyMesh3D mesh, with
+// front/side/back view choice, outfit layering, cloth drape hooks and scene
+// lighting. Canvas 2D by default, WebGL optionally. Also runs inside the
+// try-on worker, so scratch canvases come from utils/canvas.
+
+import { createCanvas } from './canvas';
+import { getPantLegUV, getSleeveSampler, getTorsoUV } from './garmentAnchors';
+import { NEUTRAL_LIGHTING } from './lighting';
+import { sortLayers } from './outfit';
+
+// Degrees either side of the halfway angle between two garment views over
+// which one fades into the other
+const VIEW_BLEND = 25;
+
+// Drop shadow cast by each kind of garment onto the body behind it
+const GARMENT_SHADOWS = {
+  shirt: { color: 'rgba(0, 0, 0, 0.3)', blur: 20, offset: 4 },
+  jacket: { color: 'rgba(0, 0, 0, 0.3)', blur: 20, offset: 4 },
+  dress: { color: 'rgba(0, 0, 0, 0.35)', blur: 22, offset: 5 },
+  pants: { color: 'rgba(0, 0, 0, 0.25)', blur: 15, offset: 0 }
+};
+
+const mirroredImages = new WeakMap();
+
+function mirrorImage(img) {
+  let mirrored = mirroredImages.get(img);
+  if (!mirrored) {
+    mirrored = createCanvas(img.width, img.height);
+    const ctx = mirrored.getContext('2d');
+    ctx.scale(-1, 1);
+    ctx.drawImage(img, -img.width, 0);
+    mirroredImages.set(img, mirrored);
+  }
+  return mirrored;
+}
+
+// Picks the garment views for a body turn (BodyMesh3D mesh.turn). Views sit
+// at 0° (front), 90° (side) and 180° (back); without a back image the front
+// stands in for it. The side image shows the garment facing image-left and
+// is mirrored for the other direction. Returns the view to draw and, inside a
+// blend band, a second view with the alpha to draw it over the first.
+function garmentViews(turn, { frontImg, sideImg, backImg, frontAnchors, backAnchors }) {
+  const angle = Math.min(180, Math.abs(turn ?? 0));
+  const views = [{ angle: 0, img: frontImg, anchors: frontAnchors }];
+  if (sideImg) {
+    views.push({ angle: 90, img: turn > 0 ? mirrorImage(sideImg) : sideImg, anchors: null });
+  }
+  views.push(backImg
+    ? { angle: 180, img: backImg, anchors: backAnchors }
+    : { angle: 180, img: frontImg, anchors: frontAnchors });
+
+  const next = views.findIndex(view => view.angle >= angle);
+  if (next <= 0) return [views[0]];
+  const from = views[next - 1];
+  const to = views[next];
+
+  const mid = (from.angle + to.angle) / 2;
+  const t = Math.min(1, Math.max(0, (angle - mid + VIEW_BLEND) / (2 * VIEW_BLEND)));
+  if (t === 0 || from.img === to.img) return [from];
+  if (t === 1) return [to];
+  return [from, { ...to, alpha: t * t * (3 - 2 * t) }];
+}
+
+// Advanced 3D Clothing Renderer
+class Clothing3DRenderer {
+  constructor({ gridDetail = 2 } = {}) {
+    // Multiplier on the base grid resolution; higher values bend more smoothly
+    this.gridDetail = Math.max(1, Math.round(gridDetail));
+    this.lighting = null;
+    this.scratch = {};
+  }
+
+  // Scene lighting from utils/lighting (null for the garment photo's own
+  // light): tints outfits and steers body shading
+  setLighting(lighting) {
+    this.lighting = lighting;
+  }
+
+  // parts: 'all', 'body' (everything but sleeves) or 'sleeves', so callers can
+  // composite occluders between the torso and the sleeves.
+  // frontAnchors/backAnchors: optional garment anchor points (utils/garmentAnchors)
+  // sideImg: optional profile view; the views cross-fade with the body's turn
+  // cloth: optional (section, grid) => grid hook that simulates loose cloth
+  renderClothing(ctx, frontImg, backImg, bodyMesh, clothingType, { parts = 'all', frontAnchors, backAnchors, sideImg, cloth = null } = {}) {
+    if (!frontImg || !bodyMesh) return;
+
+    const hasSleeves = clothingType === "shirt" || clothingType === "jacket";
+    if (parts === 'sleeves' && !hasSleeves) return;
+
+    const [base, overlay] = garmentViews(bodyMesh.turn, { frontImg, sideImg, backImg, frontAnchors, backAnchors });
+    this.renderView(ctx, base.img, bodyMesh, clothingType, parts, base.anchors, cloth);
+    if (!overlay) return;
+
+    // The incoming view is drawn whole on its own layer and faded in on top,
+    // so the garment stays opaque mid-turn
+    const layer = this.getScratchCanvas('blend', ctx.canvas);
+    const layerCtx = layer.getContext('2d');
+    layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+    layerCtx.clearRect(0, 0, layer.width, layer.height);
+    layerCtx.setTransform(ctx.getTransform());
+    this.renderView(layerCtx, overlay.img, bodyMesh, clothingType, parts, overlay.anchors, cloth);
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = overlay.alpha;
+    ctx.drawImage(layer, 0, 0);
+    ctx.restore();
+  }
+
+  // Offscreen canvas the size of `canvas`, reused across frames
+  getScratchCanvas(name, canvas) {
+    if (!this.scratch[name]) this.scratch[name] = createCanvas();
+    const scratch = this.scratch[name];
+    if (scratch.width !== canvas.width || scratch.height !== canvas.height) {
+      scratch.width = canvas.width;
+      scratch.height = canvas.height;
+    }
+    return scratch;
+  }
+
+  // Draws one garment view (front, side or back image) onto the body. The
+  // view is built on its own layer so its shadow is cast once, not blurred
+  // into every clipped triangle.
+  renderView(ctx, activeImg, bodyMesh, clothingType, parts, anchors, cloth = null) {
+    const { orientation } = bodyMesh;
+    const view = this.getScratchCanvas('view', ctx.canvas);
+    const viewCtx = view.getContext('2d');
+    viewCtx.setTransform(1, 0, 0, 1, 0, 0);
+    viewCtx.clearRect(0, 0, view.width, view.height);
+    viewCtx.setTransform(ctx.getTransform());
+
+    viewCtx.save();
+    switch (clothingType) {
+      case "shirt":
+      case "jacket":
+        this.renderShirt3D(viewCtx, activeImg, bodyMesh, orientation, parts, anchors, cloth);
+        break;
+      case "dress":
+        this.renderDress3D(viewCtx, activeImg, bodyMesh, orientation, anchors, cloth);
+        break;
+      case "pants":
+        this.renderPants3D(viewCtx, activeImg, bodyMesh, orientation, anchors);
+        break;
+    }
+    viewCtx.restore();
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.drawWithShadow(ctx, view, clothingType);
+    ctx.restore();
+  }
+
+  // Composites a finished garment layer (canvas-sized) with its drop shadow
+  drawWithShadow(ctx, layer, clothingType) {
+    const shadow = GARMENT_SHADOWS[clothingType] || GARMENT_SHADOWS.shirt;
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.shadowColor = shadow.color;
+    ctx.shadowBlur = shadow.blur;
+    ctx.shadowOffsetX = shadow.offset;
+    ctx.shadowOffsetY = shadow.offset;
+    ctx.drawImage(layer, 0, 0);
+    ctx.restore();
+  }
+
+  // Draws an outfit bottom to top. Each layer is a garment (utils/outfit)
+  // with loaded frontImg/backImg/sideImg; hidden layers are skipped. A tucked shirt
+  // over pants is clipped at the waistline so the pants cover its hem.
+  // clothSimulator: the person's ClothSimulator (utils/clothSimulation), if any
+  renderOutfit(ctx, layers, bodyMesh, { parts = 'all', clothSimulator = null } = {}) {
+    const visible = sortLayers(layers.filter(layer => layer.visible !== false));
+    if (visible.length === 0) return;
+
+    // With scene lighting the outfit is drawn on its own layer and tinted
+    // there, so the room colour never touches the video behind it
+    const target = this.lighting ? this.getScratchCanvas('lit', ctx.canvas).getContext('2d') : ctx;
+    if (target !== ctx) {
+      target.setTransform(1, 0, 0, 1, 0, 0);
+      target.clearRect(0, 0, target.canvas.width, target.canvas.height);
+      target.setTransform(ctx.getTransform());
+    }
+
+    visible.forEach((layer) => {
+      const tucked = layer.tucked && layer.clothingType === 'shirt' &&
+        visible.some(other => other.clothingType === 'pants' && other.zIndex < layer.zIndex);
+
+      // Sections like 'lowerSleeve.left' share the 'lowerSleeve' preset
+      const drape = clothSimulator && ((section, grid) =>
+        clothSimulator.drape(`${layer.id}:${section}`, grid, layer.clothingType, section.split('.')[0], bodyMesh));
+
+      target.save();
+      if (tucked) this.clipAboveWaistline(target, bodyMesh);
+      this.renderClothing(target, layer.frontImg, layer.backImg, bodyMesh, layer.clothingType, {
+        parts,
+        frontAnchors: layer.frontAnchors,
+        backAnchors: layer.backAnchors,
+        sideImg: layer.sideImg,
+        cloth: drape
+      });
+      target.restore();
+    });
+
+    if (target !== ctx) {
+      this.applyLighting(target);
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.drawImage(target.canvas, 0, 0);
+      ctx.restore();
+    }
+  }
+
+  // Multiplies the drawn outfit by the light's colour and brightness.
+  // Multiply also paints the empty pixels, so the outfit's own alpha is
+  // put back from a copy afterwards.
+  applyLighting(ctx) {
+    const { brightness, tint } = this.lighting;
+    // Multiply can only darken; brighter rooms leave the garment as shot
+    const level = Math.min(brightness, 1);
+    const channel = (value) => Math.round(255 * Math.min(1, value * level));
+
+    const mask = this.getScratchCanvas('litMask', ctx.canvas);
+    const maskCtx = mask.getContext('2d');
+    maskCtx.clearRect(0, 0, mask.width, mask.height);
+    maskCtx.drawImage(ctx.canvas, 0, 0);
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = `rgb(${channel(tint.r)}, ${channel(tint.g)}, ${channel(tint.b)})`;
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.drawImage(mask, 0, 0);
+    ctx.restore();
+  }
+
+  // Clips to everything above the line where the pant legs start
+  clipAboveWaistline(ctx, mesh) {
+    const left = mesh.legs?.left?.hip || mesh.hips?.left;
+    const right = mesh.legs?.right?.hip || mesh.hips?.right;
+    if (!left || !right) return;
+
+    const { width } = ctx.canvas;
+    const slope = (right.y - left.y) / ((right.x - left.x) || 1);
+    const yAt = (x) => left.y + (x - left.x) * slope;
+
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(width, 0);
+    ctx.lineTo(width, yAt(width));
+    ctx.lineTo(0, yAt(0));
+    ctx.closePath();
+    ctx.clip();
+  }
+
+  renderShirt3D(ctx, img, mesh, orientation, parts = 'all', anchors = null, cloth = null) {
+    const { shoulders, hips, arms } = mesh;
+    if (!shoulders || !hips) return;
+
+    const drawBody = parts !== 'sleeves';
+    const drawSleeves = parts !== 'body';
+
+    // Calculate torso dimensions
+    const shoulderWidth = Math.abs(shoulders.right.x - shoulders.left.x);
+    
+    // Create mesh grid for realistic cloth draping
+    const meshGrid = this.drape(cloth, 'torso', this.createClothMeshGrid(mesh, img, 'torso', anchors));
+    
+    // Draw torso with proper body wrapping
+    if (drawBody) {
+      ctx.globalAlpha = 0.93;
+      this.drawWarpedMesh(ctx, img, meshGrid);
+    }
+
+    // Draw sleeves with 3D wrapping
+    if (drawSleeves && arms.left && arms.left.elbow && arms.left.wrist) {
+      this.renderSleeve3D(ctx, img, arms.left, 'left', shoulderWidth, orientation, anchors, cloth);
+    }
+    if (drawSleeves && arms.right && arms.right.elbow && arms.right.wrist) {
+      this.renderSleeve3D(ctx, img, arms.right, 'right', shoulderWidth, orientation, anchors, cloth);
+    }
+
+    // Add realistic shading based on body curves
+    if (drawBody) {
+      this.addBodyShading(ctx, mesh);
+    }
+  }
+
+  // Runs a garment grid through the cloth hook, when there is one
+  drape(cloth, section, grid) {
+    return cloth ? cloth(section, grid) : grid;
+  }
+
+  createClothMeshGrid(mesh, img, section, anchors = null) {
+    const rows = 4 * this.gridDetail + 1;
+    const cols = 2 * this.gridDetail + 1;
+    const grid = { points: [], uvs: [], rows, cols };
+    const { shoulders, chest, waist, hips } = mesh;
+
+    if (section === 'torso' && shoulders && hips) {
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const t = row / (rows - 1); // 0 to 1 vertical
+          const s = col / (cols - 1); // 0 to 1 horizontal
+          
+          // Interpolate body points
+          let leftX, rightX, y;
+          
+          if (t < 0.33) {
+            // Shoulder to chest
+            const localT = t / 0.33;
+            leftX = shoulders.left.x * (1 - localT) + (chest?.left.x || shoulders.left.x) * localT;
+            rightX = shoulders.right.x * (1 - localT) + (chest?.right.x || shoulders.right.x) * localT;
+            y = shoulders.center.y * (1 - localT) + (chest?.center.y || (shoulders.center.y + 30)) * localT;
+          } else if (t < 0.66) {
+            // Chest to waist
+            const localT = (t - 0.33) / 0.33;
+            leftX = (chest?.left.x || shoulders.left.x) * (1 - localT) + (waist?.left.x || shoulders.left.x) * localT;
+            rightX = (chest?.right.x || shoulders.right.x) * (1 - localT) + (waist?.right.x || shoulders.right.x) * localT;
+            y = (chest?.center.y || shoulders.center.y + 30) * (1 - localT) + (waist?.center.y || hips.center.y - 30) * localT;
+          } else {
+            // Waist to hip
+            const localT = (t - 0.66) / 0.34;
+            leftX = (waist?.left.x || shoulders.left.x) * (1 - localT) + hips.left.x * localT;
+            rightX = (waist?.right.x || shoulders.right.x) * (1 - localT) + hips.right.x * localT;
+            y = (waist?.center.y || hips.center.y - 30) * (1 - localT) + hips.center.y * localT;
+          }
+          
+          const x = leftX * (1 - s) + rightX * s;
+          
+          // Add slight curve for body roundness
+          const curveFactor = Math.sin(s * Math.PI) * 8;
+          
+          grid.points.push({ x: x + curveFactor, y });
+          grid.uvs.push(getTorsoUV(s, t, anchors, 0.66));
+        }
+      }
+    }
+
+    return grid;
+  }
+
+  drawWarpedMesh(ctx, img, grid) {
+    if (!grid.points || grid.points.length < 4) return;
+
+    const { rows, cols } = grid;
+
+    for (let row = 0; row < rows - 1; row++) {
+      for (let col = 0; col < cols - 1; col++) {
+        const idx = row * cols + col;
+        
+        const p1 = grid.points[idx];
+        const p2 = grid.points[idx + 1];
+        const p3 = grid.points[idx + cols + 1];
+        const p4 = grid.points[idx + cols];
+        
+        const uv1 = grid.uvs[idx];
+        const uv2 = grid.uvs[idx + 1];
+        const uv3 = grid.uvs[idx + cols + 1];
+        const uv4 = grid.uvs[idx + cols];
+        
+        // Split each cell into two triangles so the warp is piecewise affine
+        this.drawTexturedTriangle(ctx, img, p1, p2, p3, uv1, uv2, uv3);
+        this.drawTexturedTriangle(ctx, img, p1, p3, p4, uv1, uv3, uv4);
+      }
+    }
+  }
+
+  drawTexturedTriangle(ctx, img, p0, p1, p2, uv0, uv1, uv2) {
+    const u0 = uv0.u * img.width, v0 = uv0.v * img.height;
+    const u1 = uv1.u * img.width, v1 = uv1.v * img.height;
+    const u2 = uv2.u * img.width, v2 = uv2.v * img.height;
+
+    const du1 = u1 - u0, dv1 = v1 - v0;
+    const du2 = u2 - u0, dv2 = v2 - v0;
+    const det = du1 * dv2 - du2 * dv1;
+    if (Math.abs(det) < 1e-6) return;
+
+    // Affine transform taking texture space (u, v) to screen space (x, y)
+    const dx1 = p1.x - p0.x, dy1 = p1.y - p0.y;
+    const dx2 = p2.x - p0.x, dy2 = p2.y - p0.y;
+    const a = (dx1 * dv2 - dx2 * dv1) / det;
+    const b = (dy1 * dv2 - dy2 * dv1) / det;
+    const c = (dx2 * du1 - dx1 * du2) / det;
+    const d = (dy2 * du1 - dy1 * du2) / det;
+    const e = p0.x - a * u0 - c * v0;
+    const f = p0.y - b * u0 - d * v0;
+
+    // Grow the clip slightly around the centroid so antialiased edges of
+    // neighbouring triangles overlap instead of leaving hairline cracks
+    const cx = (p0.x + p1.x + p2.x) / 3;
+    const cy = (p0.y + p1.y + p2.y) / 3;
+    const expand = (p) => {
+      const len = Math.hypot(p.x - cx, p.y - cy) || 1;
+      return { x: p.x + (p.x - cx) / len * 0.75, y: p.y + (p.y - cy) / len * 0.75 };
+    };
+    const q0 = expand(p0), q1 = expand(p1), q2 = expand(p2);
+
+    // Only sample the texture region under this triangle
+    const sx = Math.max(0, Math.floor(Math.min(u0, u1, u2)) - 1);
+    const sy = Math.max(0, Math.floor(Math.min(v0, v1, v2)) - 1);
+    const sw = Math.min(img.width, Math.ceil(Math.max(u0, u1, u2)) + 1) - sx;
+    const sh = Math.min(img.height, Math.ceil(Math.max(v0, v1, v2)) + 1) - sy;
+    if (sw <= 0 || sh <= 0) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(q0.x, q0.y);
+    ctx.lineTo(q1.x, q1.y);
+    ctx.lineTo(q2.x, q2.y);
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(a, b, c, d, e, f);
+    ctx.drawImage(img, sx, sy, sw, sh, sx, sy, sw, sh);
+    ctx.restore();
+  }
+
+  renderSleeve3D(ctx, img, arm, side, shoulderWidth, orientation, anchors = null, cloth = null) {
+    if (!arm.shoulder || !arm.elbow || !arm.wrist) return;
+
+    // Annotated sleeves are sampled along the shoulder seam → cuff axis.
+    // Simulated cuffs need a grid too, so cloth also takes this path.
+    if (cloth || (anchors?.[`${side}Shoulder`] && anchors?.[`${side}Cuff`])) {
+      ctx.save();
+      ctx.globalAlpha = 0.90;
+      this.createSleeveGrids(arm, side, shoulderWidth, img, anchors, cloth).forEach((grid) => {
+        this.drawWarpedMesh(ctx, img, grid);
+      });
+      ctx.restore();
+      return;
+    }
+
+    const sleeveWidth = shoulderWidth * 0.32;
+    
+    // Upper arm
+    const upperArmAngle = Math.atan2(arm.elbow.y - arm.shoulder.y, arm.elbow.x - arm.shoulder.x);
+    const upperArmLength = Math.hypot(arm.elbow.x - arm.shoulder.x, arm.elbow.y - arm.shoulder.y);
+    
+    ctx.save();
+    ctx.translate(arm.shoulder.x, arm.shoulder.y);
+    ctx.rotate(upperArmAngle);
+    ctx.globalAlpha = 0.90;
+    
+    const sleeveX = side === 'left' ? 0 : img.width * 0.75;
+    const sleeveW = img.width * 0.25;
+    
+    // Add cylindrical wrapping effect
+    this.drawCylindricalSleeve(ctx, img, sleeveX, 0, sleeveW, img.height * 0.5, 
+                                 0, -sleeveWidth/2, upperArmLength * 0.92, sleeveWidth);
+    
+    ctx.restore();
+
+    // Forearm
+    const forearmAngle = Math.atan2(arm.wrist.y - arm.elbow.y, arm.wrist.x - arm.elbow.x);
+    const forearmLength = Math.hypot(arm.wrist.x - arm.elbow.x, arm.wrist.y - arm.elbow.y);
+    
+    ctx.save();
+    ctx.translate(arm.elbow.x, arm.elbow.y);
+    ctx.rotate(forearmAngle);
+    ctx.globalAlpha = 0.88;
+    
+    this.drawCylindricalSleeve(ctx, img, sleeveX, img.height * 0.5, sleeveW, img.height * 0.35,
+                                 0, -sleeveWidth * 0.75/2, forearmLength * 0.88, sleeveWidth * 0.75);
+    
+    ctx.restore();
+  }
+
+  // The forearm grid hangs from the elbow and can swing when cloth is given
+  createSleeveGrids(arm, side, shoulderWidth, img, anchors = null, cloth = null) {
+    const sleeveWidth = shoulderWidth * 0.32;
+    const segments = [
+      { from: arm.shoulder, to: arm.elbow, lengthScale: 0.92, width: sleeveWidth, v0: 0, v1: 0.5, t0: 0, t1: 0.5 },
+      { from: arm.elbow, to: arm.wrist, lengthScale: 0.88, width: sleeveWidth * 0.75, v0: 0.5, v1: 0.85, t0: 0.5, t1: 1 }
+    ];
+
+    return segments.map(({ from, to, lengthScale, width, v0, v1, t0, t1 }, index) => {
+      const length = Math.hypot(to.x - from.x, to.y - from.y) * lengthScale;
+      const sampler = getSleeveSampler(anchors, side, img, t0, t1, width / Math.max(length, 1));
+      // Without anchors, use the same strips as the 2D cylindrical sleeve:
+      // the outer quarter of the image, with its horizontal axis along the arm
+      const u0 = side === 'left' ? 0 : 0.75;
+      const uvAt = sampler || ((along, across) => ({ u: u0 + along * 0.25, v: v0 + across * (v1 - v0) }));
+      const grid = this.createLimbSegmentGrid(from, to, lengthScale, width, uvAt);
+      return index === 1 ? this.drape(cloth, `lowerSleeve.${side}`, grid) : grid;
+    });
+  }
+
+  createLimbSegmentGrid(from, to, lengthScale, width, uvAt) {
+    const rows = 2 * this.gridDetail + 1;
+    const cols = 2;
+    const grid = { points: [], uvs: [], rows, cols };
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const length = Math.hypot(to.x - from.x, to.y - from.y) * lengthScale;
+    const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+    const normal = { x: -dir.y, y: dir.x };
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const along = row / (rows - 1);
+        const across = col / (cols - 1);
+        const offset = (across - 0.5) * width;
+
+        grid.points.push({
+          x: from.x + dir.x * along * length + normal.x * offset,
+          y: from.y + dir.y * along * length + normal.y * offset
+        });
+        grid.uvs.push(uvAt(along, across));
+      }
+    }
+
+    return grid;
+  }
+
+  drawCylindricalSleeve(ctx, img, sx, sy, sw, sh, dx, dy, dw, dh) {
+    // Draw with subtle perspective to simulate cylindrical wrapping
+    ctx.save();
+    
+    // Main sleeve
+    ctx.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh);
+    
+    // Add highlight on top edge
+    ctx.globalAlpha = 0.3;
+    ctx.fillStyle = 'white';
+    ctx.fillRect(dx, dy, dw, dh * 0.15);
+    
+    // Add shadow on bottom edge
+    ctx.globalAlpha = 0.2;
+    ctx.fillStyle = 'black';
+    ctx.fillRect(dx, dy + dh * 0.85, dw, dh * 0.15);
+    
+    ctx.restore();
+  }
+
+  renderDress3D(ctx, img, mesh, orientation, anchors = null, cloth = null) {
+    const { shoulders, legs } = mesh;
+    if (!shoulders || !legs) return;
+
+    const { topWidth, bottomWidth, dressHeight } = this.getDressLayout(mesh);
+    
+    ctx.globalAlpha = 0.93;
+    
+    // Create flowing dress mesh
+    const dressGrid = this.drape(cloth, 'dress', this.createDressMeshGrid(mesh, topWidth, bottomWidth, dressHeight, anchors));
+    this.drawWarpedMesh(ctx, img, dressGrid);
+    
+    this.addBodyShading(ctx, mesh);
+  }
+
+  getDressLayout(mesh) {
+    const { shoulders, legs } = mesh;
+    const shoulderWidth = Math.abs(shoulders.right.x - shoulders.left.x);
+    const topY = shoulders.center.y;
+    
+    let bottomY = topY + shoulderWidth * 2.5;
+    if (legs.left?.knee && legs.right?.knee) {
+      bottomY = (legs.left.knee.y + legs.right.knee.y) / 2 * 0.98;
+    }
+    
+    return {
+      topWidth: shoulderWidth * 1.45,
+      bottomWidth: shoulderWidth * 1.85,
+      dressHeight: bottomY - topY
+    };
+  }
+
+  createDressMeshGrid(mesh, topWidth, bottomWidth, height, anchors = null) {
+    const rows = 5 * this.gridDetail + 1;
+    const cols = 3 * this.gridDetail + 1;
+    const grid = { points: [], uvs: [], rows, cols };
+    const { shoulders } = mesh;
+    const centerX = shoulders.center.x;
+    const topY = shoulders.center.y;
+    
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const t = row / (rows - 1);
+        const s = col / (cols - 1);
+        
+        // Interpolate width (flare out)
+        const currentWidth = topWidth * (1 - t) + bottomWidth * t;
+        const y = topY + height * t;
+        
+        // Create curved shape
+        const xOffset = (s - 0.5) * currentWidth;
+        const curveFactor = Math.sin(s * Math.PI) * 12 * t;
+        const x = centerX + xOffset + curveFactor;
+        
+        grid.points.push({ x, y });
+        // The waist sits roughly a third of the way from shoulders to hem
+        grid.uvs.push(getTorsoUV(s, t, anchors, 0.35));
+      }
+    }
+    
+    return grid;
+  }
+
+  renderPants3D(ctx, img, mesh, orientation, anchors = null) {
+    const { hips, legs } = mesh;
+    if (!hips || !legs.left || !legs.right) return;
+
+    const hipWidth = Math.abs(hips.right.x - hips.left.x);
+    
+    ctx.globalAlpha = 0.91;
+
+    // Left leg with 3D mesh
+    if (legs.left.hip && legs.left.ankle) {
+      const leftGrid = this.createPantLegMesh(legs.left, hipWidth, 'left', anchors);
+      this.drawWarpedMesh(ctx, img, leftGrid);
+    }
+    
+    // Right leg with 3D mesh
+    if (legs.right.hip && legs.right.ankle) {
+      const rightGrid = this.createPantLegMesh(legs.right, hipWidth, 'right', anchors);
+      this.drawWarpedMesh(ctx, img, rightGrid);
+    }
+    
+    this.addBodyShading(ctx, mesh);
+  }
+
+  createPantLegMesh(leg, hipWidth, side, anchors = null) {
+    const rows = 4 * this.gridDetail + 1;
+    const cols = 2 * this.gridDetail + 1;
+    const grid = { points: [], uvs: [], rows, cols };
+    const legWidth = hipWidth * 0.54;
+    
+    const hipY = leg.hip.y;
+    const kneeY = leg.knee?.y || (leg.hip.y + leg.ankle.y) / 2;
+    const ankleY = leg.ankle.y;
+    
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const t = row / (rows - 1);
+        const s = col / (cols - 1);
+        
+        let y, currentWidth;
+        
+        if (t < 0.5) {
+          // Hip to knee
+          const localT = t / 0.5;
+          y = hipY * (1 - localT) + kneeY * localT;
+          currentWidth = legWidth * (1 - localT * 0.15);
+        } else {
+          // Knee to ankle
+          const localT = (t - 0.5) / 0.5;
+          y = kneeY * (1 - localT) + ankleY * localT;
+          currentWidth = legWidth * 0.85 * (1 - localT * 0.2);
+        }
+        
+        const centerX = leg.hip.x;
+        const xOffset = (s - 0.5) * currentWidth;
+        const curveFactor = Math.sin(s * Math.PI) * 6;
+        const x = centerX + xOffset + curveFactor;
+        
+        grid.points.push({ x, y });
+        grid.uvs.push(getPantLegUV(s, t, side, anchors));
+      }
+    }
+    
+    return grid;
+  }
+
+  addBodyShading(ctx, mesh) {
+    // Add realistic shading for body curves
+    const { shoulders, hips } = mesh;
+    if (!shoulders || !hips) return;
+
+    const { direction, contrast } = this.lighting || NEUTRAL_LIGHTING;
+    const shoulderWidth = Math.abs(shoulders.right.x - shoulders.left.x);
+    // Side bands reach a quarter of the shoulder width in from each edge
+    const band = Math.max(shoulderWidth * 0.25, 4);
+    const top = shoulders.center.y;
+    const height = hips.center.y - top;
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.globalAlpha = 0.15;
+
+    // The edge turned away from the light gets the deeper shadow
+    [shoulders.left, shoulders.right].forEach((shoulder) => {
+      const outward = shoulder.x < shoulders.center.x ? -1 : 1;
+      const strength = 0.4 * (1 - direction.x * outward * contrast);
+      const gradient = ctx.createLinearGradient(
+        shoulder.x + outward * band, top,
+        shoulder.x - outward * band, top
+      );
+      gradient.addColorStop(0, `rgba(0, 0, 0, ${strength})`);
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+      ctx.fillStyle = gradient;
+      ctx.fillRect(shoulder.x - band, top, band * 2, height);
+    });
+
+    // Light from above darkens towards the hips
+    const fromAbove = Math.max(0, -direction.y) * contrast;
+    if (fromAbove > 0) {
+      const gradient = ctx.createLinearGradient(0, top, 0, top + height);
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      gradient.addColorStop(1, `rgba(0, 0, 0, ${0.3 * fromAbove})`);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(Math.min(shoulders.left.x, shoulders.right.x) - band, top, shoulderWidth + band * 2, height);
+    }
+
+    ctx.restore();
+  }
+}
+
+// WebGL Clothing Renderer
+// Same renderClothing() contract as Clothing3DRenderer (view choice and
+// cross-fading are inherited), but each garment view is uploaded once as a
+// texture and every mesh grid is drawn as indexed triangles, with body
+// shading done in the fragment shader.
+const GARMENT_VERTEX_SHADER = `
+  attribute vec2 aPosition;
+  attribute vec2 aTexCoord;
+  attribute float aWrap;
+  uniform vec2 uResolution;
+  varying vec2 vTexCoord;
+  varying float vWrap;
+
+  void main() {
+    vec2 clip = aPosition / uResolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    vTexCoord = aTexCoord;
+    vWrap = aWrap;
+  }
+`;
+
+const GARMENT_FRAGMENT_SHADER = `
+  precision mediump float;
+  uniform sampler2D uTexture;
+  uniform float uOpacity;
+  uniform float uShadeStrength;
+  uniform float uLightSide;
+  varying vec2 vTexCoord;
+  varying float vWrap;
+
+  void main() {
+    vec4 color = texture2D(uTexture, vTexCoord);
+    // Cylindrical falloff: fabric facing the camera stays bright,
+    // fabric wrapping around the sides of the body darkens
+    float facing = sin(clamp(vWrap, 0.0, 1.0) * 3.14159265);
+    float shade = mix(1.0 - uShadeStrength, 1.0, facing);
+    // The side the scene light comes from stays brighter
+    shade *= 1.0 + uLightSide * (clamp(vWrap, 0.0, 1.0) - 0.5) * uShadeStrength;
+    gl_FragColor = vec4(color.rgb * shade, color.a) * uOpacity;
+  }
+`;
+
+class WebGLClothing3DRenderer extends Clothing3DRenderer {
+  // Probed once: every probe context counts towards the browser's limit
+  static isSupported() {
+    if (WebGLClothing3DRenderer.supported === undefined) {
+      try {
+        const gl = createCanvas().getContext('webgl');
+        gl?.getExtension('WEBGL_lose_context')?.loseContext();
+        WebGLClothing3DRenderer.supported = !!gl;
+      } catch {
+        WebGLClothing3DRenderer.supported = false;
+      }
+    }
+    return WebGLClothing3DRenderer.supported;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.canvas = createCanvas();
+    const gl = this.canvas.getContext('webgl', { premultipliedAlpha: true, antialias: true });
+    if (!gl) throw new Error('WebGL not available');
+
+    this.gl = gl;
+    // Garment image → texture; entries are deleted in releaseTextures/dispose
+    this.textures = new Map();
+    this.program = this.createProgram(GARMENT_VERTEX_SHADER, GARMENT_FRAGMENT_SHADER);
+    this.locations = {
+      position: gl.getAttribLocation(this.program, 'aPosition'),
+      texCoord: gl.getAttribLocation(this.program, 'aTexCoord'),
+      wrap: gl.getAttribLocation(this.program, 'aWrap'),
+      resolution: gl.getUniformLocation(this.program, 'uResolution'),
+      texture: gl.getUniformLocation(this.program, 'uTexture'),
+      opacity: gl.getUniformLocation(this.program, 'uOpacity'),
+      shadeStrength: gl.getUniformLocation(this.program, 'uShadeStrength'),
+      lightSide: gl.getUniformLocation(this.program, 'uLightSide')
+    };
+    this.vertexBuffer = gl.createBuffer();
+    this.indexBuffer = gl.createBuffer();
+  }
+
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+      }
+      return shader;
+    };
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(gl.getProgramInfoLog(program));
+    }
+    return program;
+  }
+
+  getTexture(img) {
+    const gl = this.gl;
+    let texture = this.textures.get(img);
+    if (texture) return texture;
+
+    texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
+    // Garment photos are rarely power-of-two sized, so no mipmaps or repeat
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    this.textures.set(img, texture);
+    return texture;
+  }
+
+  // Deletes the textures of garment images no longer used by `layers` (an
+  // outfit as passed to renderOutfit), e.g. after a garment was replaced
+  releaseTextures(layers) {
+    const inUse = new Set();
+    layers.forEach(({ frontImg, backImg, sideImg }) => {
+      [frontImg, backImg, sideImg].filter(Boolean).forEach((img) => {
+        inUse.add(img);
+        if (mirroredImages.has(img)) inUse.add(mirroredImages.get(img));
+      });
+    });
+
+    this.textures.forEach((texture, img) => {
+      if (inUse.has(img)) return;
+      this.gl.deleteTexture(texture);
+      this.textures.delete(img);
+    });
+  }
+
+  renderView(ctx, activeImg, bodyMesh, clothingType, parts, anchors, cloth = null) {
+    const layers = this.buildGarmentGrids(activeImg, bodyMesh, clothingType, anchors, cloth)
+      .filter((layer) => parts === 'all' || (parts === 'sleeves') === !!layer.sleeve);
+    if (layers.length === 0) return;
+
+    const gl = this.gl;
+    const { width, height } = ctx.canvas;
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    gl.useProgram(this.program);
+    gl.uniform2f(this.locations.resolution, width, height);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.getTexture(activeImg));
+    gl.uniform1i(this.locations.texture, 0);
+
+    layers.forEach(({ grid, opacity, shadeStrength }) => {
+      this.drawGrid(grid, opacity, shadeStrength);
+    });
+
+    // One blurred shadow for the composited garment instead of one per quad
+    this.drawWithShadow(ctx, this.canvas, clothingType);
+  }
+
+  buildGarmentGrids(img, mesh, clothingType, anchors = null, cloth = null) {
+    const layers = [];
+    const { shoulders, hips, legs, arms } = mesh;
+
+    switch (clothingType) {
+      case "shirt":
+      case "jacket": {
+        if (!shoulders || !hips) break;
+        const shoulderWidth = Math.abs(shoulders.right.x - shoulders.left.x);
+        layers.push({
+          grid: this.drape(cloth, 'torso', this.createClothMeshGrid(mesh, img, 'torso', anchors)),
+          opacity: 0.93,
+          shadeStrength: 0.3
+        });
+        ['left', 'right'].forEach((side) => {
+          const arm = arms[side];
+          if (!arm || !arm.elbow || !arm.wrist) return;
+          this.createSleeveGrids(arm, side, shoulderWidth, img, anchors, cloth).forEach((grid) => {
+            layers.push({ grid, opacity: 0.9, shadeStrength: 0.35, sleeve: true });
+          });
+        });
+        break;
+      }
+      case "dress": {
+        if (!shoulders || !legs) break;
+        const { topWidth, bottomWidth, dressHeight } = this.getDressLayout(mesh);
+        layers.push({
+          grid: this.drape(cloth, 'dress', this.createDressMeshGrid(mesh, topWidth, bottomWidth, dressHeight, anchors)),
+          opacity: 0.93,
+          shadeStrength: 0.3
+        });
+        break;
+      }
+      case "pants": {
+        if (!hips || !legs.left || !legs.right) break;
+        const hipWidth = Math.abs(hips.right.x - hips.left.x);
+        ['left', 'right'].forEach((side) => {
+          if (legs[side].hip && legs[side].ankle) {
+            layers.push({ grid: this.createPantLegMesh(legs[side], hipWidth, side, anchors), opacity: 0.91, shadeStrength: 0.3 });
+          }
+        });
+        break;
+      }
+    }
+
+    return layers;
+  }
+
+  drawGrid(grid, opacity, shadeStrength) {
+    const { rows, cols, points, uvs } = grid;
+    if (!points || points.length < 4) return;
+
+    const gl = this.gl;
+    const vertices = new Float32Array(points.length * 5);
+    points.forEach((p, i) => {
+      vertices[i * 5] = p.x;
+      vertices[i * 5 + 1] = p.y;
+      vertices[i * 5 + 2] = uvs[i].u;
+      vertices[i * 5 + 3] = uvs[i].v;
+      vertices[i * 5 + 4] = (i % cols) / (cols - 1);
+    });
+
+    const indices = new Uint16Array((rows - 1) * (cols - 1) * 6);
+    let n = 0;
+    for (let row = 0; row < rows - 1; row++) {
+      for (let col = 0; col < cols - 1; col++) {
+        const idx = row * cols + col;
+        indices.set([idx, idx + 1, idx + cols + 1, idx, idx + cols + 1, idx + cols], n);
+        n += 6;
+      }
+    }
+
+    const stride = 5 * Float32Array.BYTES_PER_ELEMENT;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(this.locations.position);
+    gl.vertexAttribPointer(this.locations.position, 2, gl.FLOAT, false, stride, 0);
+    gl.enableVertexAttribArray(this.locations.texCoord);
+    gl.vertexAttribPointer(this.locations.texCoord, 2, gl.FLOAT, false, stride, 2 * 4);
+    gl.enableVertexAttribArray(this.locations.wrap);
+    gl.vertexAttribPointer(this.locations.wrap, 1, gl.FLOAT, false, stride, 4 * 4);
+
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.DYNAMIC_DRAW);
+
+    gl.uniform1f(this.locations.opacity, opacity);
+    gl.uniform1f(this.locations.shadeStrength, shadeStrength);
+    // Wrap runs from the grid's first column to its last; flip the light
+    // when that is right to left on screen
+    const { direction, contrast } = this.lighting || NEUTRAL_LIGHTING;
+    const screenDirection = Math.sign(points[cols - 1].x - points[0].x) || 1;
+    gl.uniform1f(this.locations.lightSide, direction.x * contrast * screenDirection);
+    gl.drawElements(gl.TRIANGLES, indices.length, gl.UNSIGNED_SHORT, 0);
+  }
+
+  dispose() {
+    const gl = this.gl;
+    this.textures.forEach((texture) => gl.deleteTexture(texture));
+    this.textures.clear();
+    gl.deleteBuffer(this.vertexBuffer);
+    gl.deleteBuffer(this.indexBuffer);
+    gl.deleteProgram(this.program);
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+  }
+}
+
+// Picks the garment renderer for a backend ('2d' or 'webgl'), falling back to
+// Canvas 2D when WebGL is unavailable or fails to initialise
+export function createClothingRenderer(backend) {
+  if (backend === 'webgl' && WebGLClothing3DRenderer.isSupported()) {
+    try {
+      return new WebGLClothing3DRenderer();
+    } catch (error) {
+      console.warn('WebGL renderer unavailable, using Canvas 2D:', error);
+    }
+  }
+  return new Clothing3DRenderer();
+}
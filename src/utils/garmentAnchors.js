@@ -0,0 +1,118 @@
+// utils/garmentAnchors.js
+// Anchor points marked on a garment photo, stored as fractions (0-1) of the
+// image size so they survive background removal and resizing. "Left" and
+// "right" refer to the left and right side of the photo, which the renderer
+// maps onto the mesh's left and right side.
+
+const TOP_ANCHORS = [
+  { key: 'collar', label: 'Collar (centre)' },
+  { key: 'leftShoulder', label: 'Left shoulder seam' },
+  { key: 'rightShoulder', label: 'Right shoulder seam' },
+  { key: 'leftCuff', label: 'Left sleeve cuff' },
+  { key: 'rightCuff', label: 'Right sleeve cuff' },
+  { key: 'waist', label: 'Waist line' },
+  { key: 'leftHem', label: 'Left hem corner' },
+  { key: 'rightHem', label: 'Right hem corner' }
+];
+
+const DRESS_ANCHORS = TOP_ANCHORS.filter((a) => !a.key.endsWith('Cuff'));
+
+const PANTS_ANCHORS = [
+  { key: 'leftWaist', label: 'Left waistband corner' },
+  { key: 'rightWaist', label: 'Right waistband corner' },
+  { key: 'leftHem', label: 'Left leg hem (outer)' },
+  { key: 'rightHem', label: 'Right leg hem (outer)' }
+];
+
+export function getAnchorDefinitions(clothingType) {
+  switch (clothingType) {
+    case 'dress':
+      return DRESS_ANCHORS;
+    case 'pants':
+      return PANTS_ANCHORS;
+    default:
+      return TOP_ANCHORS;
+  }
+}
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * UV for a torso or dress grid vertex. s runs left to right, t from the
+ * shoulder line down; waistT is where the grid places the waist.
+ * Falls back to the whole image when the required anchors are missing.
+ */
+export function getTorsoUV(s, t, anchors, waistT) {
+  const { collar, leftShoulder, rightShoulder, waist, leftHem, rightHem } = anchors || {};
+  if (!leftShoulder || !rightShoulder || !leftHem || !rightHem) return { u: s, v: t };
+
+  const top = (leftShoulder.y + rightShoulder.y) / 2;
+  const bottom = (leftHem.y + rightHem.y) / 2;
+  let v;
+  if (waist && waist.y > top && waist.y < bottom) {
+    v = t < waistT
+      ? lerp(top, waist.y, t / waistT)
+      : lerp(waist.y, bottom, (t - waistT) / (1 - waistT));
+  } else {
+    v = lerp(top, bottom, t);
+  }
+
+  // Side seams run from the shoulder seam to the hem corner
+  const k = bottom > top ? (v - top) / (bottom - top) : t;
+  const left = lerp(leftShoulder.x, leftHem.x, k);
+  const right = lerp(rightShoulder.x, rightHem.x, k);
+  const center = collar ? collar.x : (left + right) / 2;
+  const u = s < 0.5 ? lerp(left, center, s * 2) : lerp(center, right, (s - 0.5) * 2);
+
+  return { u, v };
+}
+
+/**
+ * UV for a pant leg grid vertex. Without anchors each leg takes half the image.
+ */
+export function getPantLegUV(s, t, side, anchors) {
+  const { leftWaist, rightWaist, leftHem, rightHem } = anchors || {};
+  if (!leftWaist || !rightWaist || !leftHem || !rightHem) {
+    return { u: side === 'left' ? s * 0.5 : 0.5 + s * 0.5, v: t };
+  }
+
+  const v = lerp((leftWaist.y + rightWaist.y) / 2, (leftHem.y + rightHem.y) / 2, t);
+  const center = (leftWaist.x + rightWaist.x) / 2;
+  const u = side === 'left'
+    ? lerp(lerp(leftWaist.x, leftHem.x, t), center, s)
+    : lerp(center, lerp(rightWaist.x, rightHem.x, t), s);
+
+  return { u, v };
+}
+
+/**
+ * Returns an (along, across) => uv sampler for part of a sleeve, running from
+ * the shoulder seam towards the cuff between fractions fromT and toT.
+ * widthRatio (sleeve width / segment length on screen) keeps the sampled
+ * strip's aspect ratio. Returns null when the sleeve is not annotated.
+ */
+export function getSleeveSampler(anchors, side, img, fromT, toT, widthRatio) {
+  const start = anchors?.[`${side}Shoulder`];
+  const end = anchors?.[`${side}Cuff`];
+  if (!start || !end) return null;
+
+  const sx = start.x * img.width;
+  const sy = start.y * img.height;
+  const dx = end.x * img.width - sx;
+  const dy = end.y * img.height - sy;
+  const length = Math.hypot(dx, dy);
+  if (length < 1) return null;
+
+  const nx = -dy / length;
+  const ny = dx / length;
+  const width = length * (toT - fromT) * widthRatio;
+
+  return (along, across) => {
+    const a = lerp(fromT, toT, along);
+    const offset = (across - 0.5) * width;
+    return {
+      u: (sx + dx * a + nx * offset) / img.width,
+      v: (sy + dy * a + ny * offset) / img.height
+    };
+  };
+}
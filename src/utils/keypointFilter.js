@@ -0,0 +1,161 @@
+// utils/keypointFilter.js
+// Temporal smoothing for pose keypoints. Each keypoint coordinate gets its own
+// filter; updates are weighted by the detector score so low-confidence
+// detections move the estimate less than confident ones.
+
+const MIN_SCORE = 0.3;
+const RESET_AFTER_MS = 500;
+
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * One-Euro filter (Casiez et al. 2012): adaptive low-pass whose cutoff rises
+ * with speed, so slow jitter is removed while fast motion stays responsive.
+ *
+ * @param {Object} options
+ * @param {number} options.minCutoff - cutoff frequency (Hz) when still
+ * @param {number} options.beta - how quickly the cutoff rises with speed (per px/s)
+ * @param {number} options.derivativeCutoff - cutoff (Hz) for the speed estimate
+ */
+export class OneEuroFilter {
+  constructor({ minCutoff = 1.0, beta = 0.007, derivativeCutoff = 1.0 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.derivativeCutoff = derivativeCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.lastTime = null;
+  }
+
+  filter(measurement, timestamp, confidence = 1) {
+    if (this.value === null) {
+      this.value = measurement;
+      this.lastTime = timestamp;
+      return measurement;
+    }
+
+    const dt = Math.max((timestamp - this.lastTime) / 1000, 1e-3);
+    this.lastTime = timestamp;
+
+    const rawDerivative = (measurement - this.value) / dt;
+    this.derivative += smoothingFactor(this.derivativeCutoff, dt) * (rawDerivative - this.derivative);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    const alpha = smoothingFactor(cutoff, dt) * confidence;
+    this.value += alpha * (measurement - this.value);
+
+    return this.value;
+  }
+}
+
+/**
+ * Constant-velocity Kalman filter for a single coordinate.
+ *
+ * @param {Object} options
+ * @param {number} options.processNoise - acceleration noise density (px²/s³)
+ * @param {number} options.measurementNoise - measurement variance (px²) at score 1
+ */
+export class KalmanFilter {
+  constructor({ processNoise = 2000, measurementNoise = 4 } = {}) {
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.velocity = 0;
+    this.covariance = [[0, 0], [0, 0]];
+    this.lastTime = null;
+  }
+
+  filter(measurement, timestamp, confidence = 1) {
+    if (this.value === null) {
+      this.value = measurement;
+      this.velocity = 0;
+      this.covariance = [[this.measurementNoise, 0], [0, this.measurementNoise * 100]];
+      this.lastTime = timestamp;
+      return measurement;
+    }
+
+    const dt = Math.max((timestamp - this.lastTime) / 1000, 1e-3);
+    this.lastTime = timestamp;
+
+    // Predict
+    const q = this.processNoise;
+    const [[p00, p01], [p10, p11]] = this.covariance;
+    const predicted = this.value + this.velocity * dt;
+    const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt * dt * dt / 3;
+    const a01 = p01 + dt * p11 + q * dt * dt / 2;
+    const a10 = p10 + dt * p11 + q * dt * dt / 2;
+    const a11 = p11 + q * dt;
+
+    // Update: a low score inflates the measurement noise
+    const r = this.measurementNoise / Math.max(confidence, 0.05);
+    const innovation = measurement - predicted;
+    const s = a00 + r;
+    const k0 = a00 / s;
+    const k1 = a10 / s;
+
+    this.value = predicted + k0 * innovation;
+    this.velocity += k1 * innovation;
+    this.covariance = [
+      [(1 - k0) * a00, (1 - k0) * a01],
+      [a10 - k1 * a00, a11 - k1 * a01]
+    ];
+
+    return this.value;
+  }
+}
+
+/**
+ * Keeps an x/y filter pair per named keypoint and returns smoothed copies of
+ * each frame's keypoints. Keypoints below the mesh score threshold pass
+ * through untouched and do not disturb the filter state.
+ */
+export class KeypointSmoother {
+  constructor(mode = 'oneEuro', params = {}) {
+    this.mode = mode;
+    this.params = params;
+    this.filters = {};
+  }
+
+  createFilter() {
+    return this.mode === 'kalman'
+      ? new KalmanFilter(this.params)
+      : new OneEuroFilter(this.params);
+  }
+
+  reset() {
+    this.filters = {};
+  }
+
+  smooth(keypoints, timestamp) {
+    if (this.mode === 'none' || !keypoints) return keypoints;
+
+    return keypoints.map((k) => {
+      if (!k.name || k.score <= MIN_SCORE) return k;
+
+      let entry = this.filters[k.name];
+      if (!entry || timestamp - entry.lastSeen > RESET_AFTER_MS) {
+        entry = { x: this.createFilter(), y: this.createFilter(), lastSeen: timestamp };
+        this.filters[k.name] = entry;
+      }
+      entry.lastSeen = timestamp;
+
+      const confidence = Math.min(1, k.score);
+      return {
+        ...k,
+        x: entry.x.filter(k.x, timestamp, confidence),
+        y: entry.y.filter(k.y, timestamp, confidence)
+      };
+    });
+  }
+}
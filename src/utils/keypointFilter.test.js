@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { KalmanFilter, KeypointSmoother, OneEuroFilter } from './keypointFilter';
+
+describe('OneEuroFilter', () => {
+  it('passes the first value through and holds a constant input', () => {
+    const filter = new OneEuroFilter();
+    expect(filter.filter(100, 0)).toBe(100);
+    expect(filter.filter(100, 33)).toBe(100);
+  });
+
+  it('moves part of the way towards a jump, less so at low confidence', () => {
+    const confident = new OneEuroFilter();
+    const unsure = new OneEuroFilter();
+    confident.filter(0, 0);
+    unsure.filter(0, 0);
+    const a = confident.filter(10, 33);
+    const b = unsure.filter(10, 33, 0.3);
+    expect(a).toBeGreaterThan(0);
+    expect(a).toBeLessThan(10);
+    expect(b).toBeLessThan(a);
+  });
+
+  it('starts over after reset', () => {
+    const filter = new OneEuroFilter();
+    filter.filter(0, 0);
+    filter.reset();
+    expect(filter.filter(50, 33)).toBe(50);
+  });
+});
+
+describe('KalmanFilter', () => {
+  it('converges on a steadily moving target', () => {
+    const filter = new KalmanFilter();
+    let value;
+    for (let frame = 0; frame <= 60; frame++) {
+      value = filter.filter(frame * 2, frame * 33);
+    }
+    expect(value).toBeCloseTo(120, 0);
+    expect(filter.velocity).toBeCloseTo(2 / 0.033, -1);
+  });
+});
+
+describe('KeypointSmoother', () => {
+  const frame = (x, score = 0.9) => [{ name: 'nose', x, y: x, score }];
+
+  it('returns keypoints untouched when smoothing is off', () => {
+    const keypoints = frame(10);
+    expect(new KeypointSmoother('none').smooth(keypoints, 0)).toBe(keypoints);
+  });
+
+  it('smooths confident keypoints per name', () => {
+    const smoother = new KeypointSmoother('oneEuro');
+    smoother.smooth(frame(0), 0);
+    const [nose] = smoother.smooth(frame(10), 33);
+    expect(nose.x).toBeGreaterThan(0);
+    expect(nose.x).toBeLessThan(10);
+    expect(nose.score).toBe(0.9);
+  });
+
+  it('passes low-score keypoints through without disturbing the filter', () => {
+    const smoother = new KeypointSmoother('oneEuro');
+    smoother.smooth(frame(0), 0);
+    expect(smoother.smooth(frame(500, 0.2), 33)[0].x).toBe(500);
+    expect(smoother.smooth(frame(0), 66)[0].x).toBe(0);
+  });
+
+  it('restarts a keypoint that was missing for a while', () => {
+    const smoother = new KeypointSmoother('kalman');
+    smoother.smooth(frame(0), 0);
+    expect(smoother.smooth(frame(300), 1000)[0].x).toBe(300);
+  });
+});
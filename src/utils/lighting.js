@@ -0,0 +1,177 @@
+// utils/lighting.js
+// Rough scene lighting read off the person's face, so garments can be tinted
+// and shaded like the room instead of looking studio-lit. Skin is a handy
+// light probe: its colour varies far less than clothing or backgrounds, and
+// comparing the two cheeks shows which side the light comes from.
+
+import { createCanvas } from './canvas';
+
+const MIN_SCORE = 0.3;
+const SAMPLE_SIZE = 24;
+const UPDATE_INTERVAL_MS = 250;
+// Weight of each new estimate in the running average
+const SMOOTHING = 0.3;
+// Typical skin under neutral light: linear luminance and normalized colour
+const REFERENCE_LUMINANCE = 0.5;
+const REFERENCE_CHROMA = { r: 1.24, g: 0.96, b: 0.8 };
+// Skin tones differ, so only part of the colour difference is trusted
+const TINT_TRUST = 0.6;
+
+// direction: unit vector in image space pointing towards the light
+// contrast: 0 (flat, diffuse light) to 1 (hard light from one side)
+export const NEUTRAL_LIGHTING = {
+  brightness: 1,
+  tint: { r: 1, g: 1, b: 1 },
+  temperature: 6500,
+  direction: { x: 0, y: -1 },
+  contrast: 0
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const luminance = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// Cheeks, nose and upper lip: below the eyes so brows and hair stay out
+function faceRegion(keypoints) {
+  const kp = {};
+  keypoints.forEach((k) => {
+    if (k.score > MIN_SCORE) kp[k.name] = k;
+  });
+  if (!kp.nose) return null;
+
+  let faceWidth = null;
+  if (kp.left_ear && kp.right_ear) {
+    faceWidth = Math.hypot(kp.left_ear.x - kp.right_ear.x, kp.left_ear.y - kp.right_ear.y);
+  } else if (kp.left_eye && kp.right_eye) {
+    faceWidth = Math.hypot(kp.left_eye.x - kp.right_eye.x, kp.left_eye.y - kp.right_eye.y) * 2.2;
+  }
+  if (!faceWidth || faceWidth < 12) return null;
+
+  const eyeY = kp.left_eye && kp.right_eye ? (kp.left_eye.y + kp.right_eye.y) / 2 : kp.nose.y - faceWidth * 0.2;
+  const width = faceWidth * 0.7;
+  return {
+    x: kp.nose.x - width / 2,
+    y: eyeY + faceWidth * 0.1,
+    width,
+    height: faceWidth * 0.5
+  };
+}
+
+/**
+ * Single-frame estimate from the face region of `source` (video, canvas or
+ * image, in keypoint coordinates). Returns null when no face is visible or
+ * too little of it looks like lit skin.
+ */
+export function estimateLighting(source, keypoints, canvas = createCanvas(SAMPLE_SIZE, SAMPLE_SIZE)) {
+  const region = keypoints && faceRegion(keypoints);
+  if (!region) return null;
+
+  canvas.width = SAMPLE_SIZE;
+  canvas.height = SAMPLE_SIZE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, region.x, region.y, region.width, region.height, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  const { data } = ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+
+  const sum = { r: 0, g: 0, b: 0 };
+  const halves = { left: [0, 0], right: [0, 0], top: [0, 0], bottom: [0, 0] };
+  let count = 0;
+
+  for (let y = 0; y < SAMPLE_SIZE; y++) {
+    for (let x = 0; x < SAMPLE_SIZE; x++) {
+      const i = (y * SAMPLE_SIZE + x) * 4;
+      const r = data[i] / 255;
+      const g = data[i + 1] / 255;
+      const b = data[i + 2] / 255;
+      const lum = luminance(r, g, b);
+      // Skip shadows, clipped highlights and anything bluer than skin
+      if (lum < 0.06 || lum > 0.97 || r < b) continue;
+
+      sum.r += r;
+      sum.g += g;
+      sum.b += b;
+      count++;
+      const half = (name) => {
+        halves[name][0] += lum;
+        halves[name][1]++;
+      };
+      half(x < SAMPLE_SIZE / 2 ? 'left' : 'right');
+      half(y < SAMPLE_SIZE / 2 ? 'top' : 'bottom');
+    }
+  }
+  if (count < SAMPLE_SIZE * SAMPLE_SIZE * 0.25) return null;
+
+  const mean = { r: sum.r / count, g: sum.g / count, b: sum.b / count };
+  const lum = luminance(mean.r, mean.g, mean.b);
+  const average = (mean.r + mean.g + mean.b) / 3;
+
+  // Colour cast relative to neutral skin, scaled so the strongest channel is 1
+  const cast = ['r', 'g', 'b'].map((c) => 1 + (mean[c] / average / REFERENCE_CHROMA[c] - 1) * TINT_TRUST);
+  const peak = Math.max(...cast);
+  const tint = { r: cast[0] / peak, g: cast[1] / peak, b: cast[2] / peak };
+
+  const halfMean = ([total, n]) => (n > 0 ? total / n : lum);
+  const dx = (halfMean(halves.right) - halfMean(halves.left)) / lum;
+  // Eyes and brows darken the top of the patch, so vertical counts for less
+  const dy = (halfMean(halves.bottom) - halfMean(halves.top)) / lum * 0.5;
+  const length = Math.hypot(dx, dy);
+
+  return {
+    brightness: clamp(lum / REFERENCE_LUMINANCE, 0.3, 1.5),
+    tint,
+    // Very rough: a warmer cast maps to a lower colour temperature
+    temperature: Math.round(clamp(6500 * Math.pow(tint.b / tint.r, 1.5), 2000, 12000)),
+    direction: length > 0.02 ? { x: dx / length, y: dy / length } : NEUTRAL_LIGHTING.direction,
+    contrast: clamp(length * 2, 0, 1)
+  };
+}
+
+/**
+ * Running estimate for a video: samples a few times a second and smooths
+ * the result so flicker and head turns do not make garments pulse.
+ */
+export class LightingEstimator {
+  constructor() {
+    this.canvas = createCanvas(SAMPLE_SIZE, SAMPLE_SIZE);
+    this.reset();
+  }
+
+  reset() {
+    this.lighting = null;
+    this.lastUpdate = -Infinity;
+  }
+
+  // Returns the current estimate (null until a face has been seen)
+  update(source, keypoints, timestamp) {
+    if (timestamp - this.lastUpdate < UPDATE_INTERVAL_MS) return this.lighting;
+    this.lastUpdate = timestamp;
+
+    const sample = estimateLighting(source, keypoints, this.canvas);
+    if (!sample) return this.lighting;
+    if (!this.lighting) {
+      this.lighting = sample;
+      return sample;
+    }
+
+    const blend = (a, b) => a + (b - a) * SMOOTHING;
+    const previous = this.lighting;
+    const direction = {
+      x: blend(previous.direction.x * previous.contrast, sample.direction.x * sample.contrast),
+      y: blend(previous.direction.y * previous.contrast, sample.direction.y * sample.contrast)
+    };
+    const strength = Math.hypot(direction.x, direction.y);
+
+    this.lighting = {
+      brightness: blend(previous.brightness, sample.brightness),
+      tint: {
+        r: blend(previous.tint.r, sample.tint.r),
+        g: blend(previous.tint.g, sample.tint.g),
+        b: blend(previous.tint.b, sample.tint.b)
+      },
+      temperature: Math.round(blend(previous.temperature, sample.temperature)),
+      direction: strength > 0.01
+        ? { x: direction.x / strength, y: direction.y / strength }
+        : NEUTRAL_LIGHTING.direction,
+      contrast: blend(previous.contrast, sample.contrast)
+    };
+    return this.lighting;
+  }
+}
@@ -0,0 +1,85 @@
+// utils/occlusion.js
+// Compositing with the person mask from utils/segmentation: garment pixels
+// are kept inside the silhouette and forearms crossing the torso are drawn
+// back over the garment. Kept apart from the segmenter so the try-on worker
+// can use them without loading MediaPipe.
+
+/**
+ * Removes garment pixels outside the person mask. The mask is blurred a
+ * little so the garment edge fades instead of stair-stepping.
+ */
+export function clipToSilhouette(ctx, mask, feather = 2) {
+  ctx.save();
+  ctx.globalCompositeOperation = 'destination-in';
+  ctx.filter = `blur(${feather}px)`;
+  ctx.drawImage(mask, 0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.restore();
+}
+
+/**
+ * Re-draws the live video over the garment where a forearm or hand crosses
+ * the torso, limited to pixels the mask marks as person.
+ *
+ * @param {CanvasRenderingContext2D} ctx - composited output
+ * @param {CanvasImageSource} video - current frame
+ * @param {HTMLCanvasElement} mask - person mask from PersonSegmenter
+ * @param {Object} mesh - body mesh from BodyMesh3D.buildBodyMesh
+ * @param {HTMLCanvasElement} scratch - reusable canvas the size of ctx
+ */
+export function drawArmOcclusion(ctx, video, mask, mesh, scratch) {
+  const { shoulders, hips, keypoints } = mesh;
+  if (!shoulders || !hips || !keypoints) return;
+
+  const { width, height } = ctx.canvas;
+  const shoulderWidth = Math.abs(shoulders.right.x - shoulders.left.x);
+  const margin = shoulderWidth * 0.15;
+  const torso = {
+    left: Math.min(shoulders.left.x, shoulders.right.x, hips.left.x, hips.right.x) - margin,
+    right: Math.max(shoulders.left.x, shoulders.right.x, hips.left.x, hips.right.x) + margin,
+    top: shoulders.center.y,
+    bottom: hips.center.y + margin * 2
+  };
+  const nearTorso = (p) =>
+    p.x > torso.left && p.x < torso.right && p.y > torso.top && p.y < torso.bottom;
+
+  if (scratch.width !== width || scratch.height !== height) {
+    scratch.width = width;
+    scratch.height = height;
+  }
+  const sctx = scratch.getContext('2d');
+  sctx.clearRect(0, 0, width, height);
+  sctx.lineCap = 'round';
+  sctx.lineWidth = shoulderWidth * 0.3;
+  sctx.strokeStyle = 'white';
+
+  let hasOccluder = false;
+  ['left', 'right'].forEach((side) => {
+    // Only real detections: the mesh invents elbows/wrists when they are missing
+    const elbow = keypoints[`${side}_elbow`];
+    const wrist = keypoints[`${side}_wrist`];
+    if (!elbow || !wrist) return;
+    if (!nearTorso(wrist) && !nearTorso(elbow)) return;
+
+    // Extend past the wrist to cover the hand
+    const hand = {
+      x: wrist.x + (wrist.x - elbow.x) * 0.35,
+      y: wrist.y + (wrist.y - elbow.y) * 0.35
+    };
+    sctx.beginPath();
+    sctx.moveTo(elbow.x, elbow.y);
+    sctx.lineTo(hand.x, hand.y);
+    sctx.stroke();
+    hasOccluder = true;
+  });
+
+  if (!hasOccluder) return;
+
+  sctx.save();
+  sctx.globalCompositeOperation = 'destination-in';
+  sctx.drawImage(mask, 0, 0, width, height);
+  sctx.globalCompositeOperation = 'source-in';
+  sctx.drawImage(video, 0, 0, width, height);
+  sctx.restore();
+
+  ctx.drawImage(scratch, 0, 0);
+}
@@ -0,0 +1,82 @@
+// utils/outfit.js
+// Outfit model: a list of garments drawn bottom to top by zIndex.
+//
+// Garment: {
+//   id, name, clothingType,
+//   frontClothing, backClothing,      // original image data URLs
+//   sideClothing,                     // optional profile view, shown when turning
+//   refinedFront, refinedBack,        // background-removed versions, if edited
+//   refinedSide,
+//   frontAnchors, backAnchors,        // utils/garmentAnchors
+//   sizeChart, tags,                  // optional, from a catalog or wardrobe
+//   zIndex, visible, tucked           // tucked: shirt hem goes inside pants
+// }
+
+// Where each type sits when added: pants under tops, jackets over everything
+export const DEFAULT_LAYER_ORDER = {
+  pants: 10,
+  dress: 20,
+  shirt: 20,
+  jacket: 30
+};
+
+let nextId = 1;
+
+// First free zIndex at or above the type's default slot
+export function nextZIndex(garments, clothingType) {
+  let zIndex = DEFAULT_LAYER_ORDER[clothingType] ?? 20;
+  while (garments.some((g) => g.zIndex === zIndex)) zIndex++;
+  return zIndex;
+}
+
+export function createGarment(fields, garments = []) {
+  return {
+    id: fields.id ?? `garment-${Date.now()}-${nextId++}`,
+    name: fields.name || fields.clothingType,
+    clothingType: fields.clothingType,
+    frontClothing: fields.frontClothing,
+    backClothing: fields.backClothing ?? null,
+    sideClothing: fields.sideClothing ?? null,
+    refinedFront: fields.refinedFront ?? null,
+    refinedBack: fields.refinedBack ?? null,
+    refinedSide: fields.refinedSide ?? null,
+    frontAnchors: fields.frontAnchors ?? null,
+    backAnchors: fields.backAnchors ?? null,
+    sizeChart: fields.sizeChart ?? null,
+    tags: fields.tags ?? [],
+    zIndex: fields.zIndex ?? nextZIndex(garments, fields.clothingType),
+    visible: fields.visible ?? true,
+    tucked: fields.tucked ?? false
+  };
+}
+
+// Bottom layer first; ties keep list order
+export function sortLayers(garments) {
+  return garments
+    .map((garment, index) => ({ garment, index }))
+    .sort((a, b) => a.garment.zIndex - b.garment.zIndex || a.index - b.index)
+    .map(({ garment }) => garment);
+}
+
+/**
+ * Swaps a garment's zIndex with its neighbour above (direction 1) or below
+ * (direction -1). Returns a new list.
+ */
+export function moveLayer(garments, id, direction) {
+  const sorted = sortLayers(garments);
+  const index = sorted.findIndex((g) => g.id === id);
+  const neighbour = sorted[index + direction];
+  if (index < 0 || !neighbour) return garments;
+
+  const current = sorted[index];
+  const [low, high] = [current.zIndex, neighbour.zIndex].sort((a, b) => a - b);
+  // Equal z would leave the order unchanged, so open a gap
+  const currentZ = direction > 0 ? Math.max(high, low + 1) : low;
+  const neighbourZ = direction > 0 ? low : Math.max(high, low + 1);
+
+  return garments.map((g) => {
+    if (g.id === current.id) return { ...g, zIndex: currentZ };
+    if (g.id === neighbour.id) return { ...g, zIndex: neighbourZ };
+    return g;
+  });
+}
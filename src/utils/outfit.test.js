@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { createGarment, moveLayer, nextZIndex, sortLayers } from './outfit';
+
+const garment = (id, zIndex) => ({ id, zIndex });
+
+describe('nextZIndex', () => {
+  it('starts at the type\'s default slot and skips taken ones', () => {
+    expect(nextZIndex([], 'pants')).toBe(10);
+    expect(nextZIndex([garment('a', 30), garment('b', 31)], 'jacket')).toBe(32);
+    expect(nextZIndex([], 'scarf')).toBe(20);
+  });
+});
+
+describe('createGarment', () => {
+  it('fills defaults and stacks on the existing outfit', () => {
+    const created = createGarment({ clothingType: 'shirt', frontClothing: 'data:front' }, [garment('a', 20)]);
+    expect(created).toMatchObject({
+      name: 'shirt',
+      backClothing: null,
+      sizeChart: null,
+      tags: [],
+      zIndex: 21,
+      visible: true,
+      tucked: false
+    });
+    expect(created.id).toMatch(/^garment-/);
+  });
+
+  it('keeps given fields', () => {
+    const created = createGarment({ id: 'x', name: 'Linen', clothingType: 'shirt', tags: ['summer'], zIndex: 5 });
+    expect(created).toMatchObject({ id: 'x', name: 'Linen', tags: ['summer'], zIndex: 5 });
+  });
+});
+
+describe('sortLayers', () => {
+  it('orders bottom layer first and keeps list order for ties', () => {
+    const sorted = sortLayers([garment('jacket', 30), garment('a', 20), garment('pants', 10), garment('b', 20)]);
+    expect(sorted.map((g) => g.id)).toEqual(['pants', 'a', 'b', 'jacket']);
+  });
+});
+
+describe('moveLayer', () => {
+  const outfit = [garment('pants', 10), garment('shirt', 20), garment('jacket', 30)];
+  const order = (garments) => sortLayers(garments).map((g) => g.id);
+
+  it('swaps with the neighbour above or below', () => {
+    expect(order(moveLayer(outfit, 'pants', 1))).toEqual(['shirt', 'pants', 'jacket']);
+    expect(order(moveLayer(outfit, 'jacket', -1))).toEqual(['pants', 'jacket', 'shirt']);
+  });
+
+  it('opens a gap between equal layers', () => {
+    const tied = [garment('a', 20), garment('b', 20)];
+    expect(order(moveLayer(tied, 'a', 1))).toEqual(['b', 'a']);
+    expect(order(moveLayer(tied, 'b', -1))).toEqual(['b', 'a']);
+  });
+
+  it('leaves the outfit alone at the ends or for unknown ids', () => {
+    expect(moveLayer(outfit, 'jacket', 1)).toBe(outfit);
+    expect(moveLayer(outfit, 'pants', -1)).toBe(outfit);
+    expect(moveLayer(outfit, 'missing', 1)).toBe(outfit);
+  });
+});
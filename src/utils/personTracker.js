@@ -0,0 +1,108 @@
+// utils/personTracker.js
+// Maps detector track ids to stable person slots (1, 2, ...). The detector's
+// tracker can drop a track when people cross and come back with a new id; a
+// slot that lost its track recently is handed to a new track near where it
+// was last seen, so per-person state (garments, smoothing, measurements)
+// stays with the same body.
+
+const MIN_SCORE = 0.3;
+
+// Centre and size of the visible keypoints
+function describe(keypoints) {
+  const visible = keypoints.filter((k) => k.score > MIN_SCORE);
+  if (visible.length === 0) return null;
+
+  const xs = visible.map((k) => k.x);
+  const ys = visible.map((k) => k.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  return {
+    x: (minX + maxX) / 2,
+    y: (minY + maxY) / 2,
+    size: Math.max(maxX - minX, maxY - minY, 1)
+  };
+}
+
+export class PersonTracker {
+  constructor({ lostTimeout = 1500, maxJump = 0.75 } = {}) {
+    // ms a slot waits for its person to come back
+    this.lostTimeout = lostTimeout;
+    // How far (in body sizes) a returning person may have moved
+    this.maxJump = maxJump;
+    this.slots = new Map(); // slot -> { trackId, lastSeen, center }
+  }
+
+  /**
+   * @param {Array} poses - normalized poses with tracker ids
+   * @param {number} timestamp - ms
+   * @returns {Array} [{ slot, pose, size }] for the poses that have a body
+   */
+  update(poses, timestamp) {
+    const assigned = new Set();
+    const results = [];
+    const pending = [];
+
+    poses.forEach((pose) => {
+      const center = describe(pose.keypoints);
+      if (!center) return;
+
+      const known = [...this.slots.entries()].find(([, s]) => s.trackId === pose.id && pose.id !== null);
+      if (known && !assigned.has(known[0])) {
+        assigned.add(known[0]);
+        results.push({ slot: known[0], pose, center });
+      } else {
+        pending.push({ pose, center });
+      }
+    });
+
+    // New tracks: reclaim the nearest recently lost slot, otherwise open one
+    pending.forEach(({ pose, center }) => {
+      let best = null;
+      let bestDistance = Infinity;
+      this.slots.forEach((s, slot) => {
+        if (assigned.has(slot) || timestamp - s.lastSeen > this.lostTimeout) return;
+        const distance = Math.hypot(s.center.x - center.x, s.center.y - center.y) / s.center.size;
+        if (distance < this.maxJump && distance < bestDistance) {
+          best = slot;
+          bestDistance = distance;
+        }
+      });
+
+      let slot = best;
+      if (slot === null) {
+        slot = 1;
+        // Slots opened earlier in this frame are not in this.slots yet
+        while (assigned.has(slot) || (this.slots.has(slot) && timestamp - this.slots.get(slot).lastSeen <= this.lostTimeout)) {
+          slot++;
+        }
+      }
+      assigned.add(slot);
+      results.push({ slot, pose, center });
+    });
+
+    results.forEach(({ slot, pose, center }) => {
+      this.slots.set(slot, { trackId: pose.id, lastSeen: timestamp, center });
+    });
+
+    return results
+      .sort((a, b) => a.slot - b.slot)
+      .map(({ slot, pose, center }) => ({ slot, pose, size: center.size }));
+  }
+
+  // Slots whose person left long enough ago to be forgotten
+  expired(timestamp) {
+    return [...this.slots.entries()]
+      .filter(([, s]) => timestamp - s.lastSeen > this.lostTimeout)
+      .map(([slot]) => slot);
+  }
+
+  release(slot) {
+    this.slots.delete(slot);
+  }
+
+  reset() {
+    this.slots.clear();
+  }
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { PersonTracker } from './personTracker';
+
+// A 40 × 200 px body centred on (x, 300)
+const pose = (id, x) => ({
+  id,
+  keypoints: [
+    { name: 'nose', x, y: 200, score: 0.9 },
+    { name: 'left_hip', x: x - 20, y: 300, score: 0.9 },
+    { name: 'right_hip', x: x + 20, y: 300, score: 0.9 },
+    { name: 'left_ankle', x, y: 400, score: 0.9 }
+  ]
+});
+
+const slotsOf = (results) => Object.fromEntries(results.map(({ slot, pose }) => [pose.id, slot]));
+
+describe('PersonTracker', () => {
+  it('opens slots in order and reports body size', () => {
+    const tracker = new PersonTracker();
+    const results = tracker.update([pose(7, 400), pose(3, 100)], 0);
+    expect(slotsOf(results)).toEqual({ 7: 1, 3: 2 });
+    expect(results[0].size).toBe(200);
+  });
+
+  it('skips poses with no visible keypoints', () => {
+    const tracker = new PersonTracker();
+    const hidden = { id: 1, keypoints: [{ name: 'nose', x: 0, y: 0, score: 0.1 }] };
+    expect(tracker.update([hidden], 0)).toEqual([]);
+  });
+
+  it('keeps slots with their bodies through a crossover', () => {
+    const tracker = new PersonTracker();
+    expect(slotsOf(tracker.update([pose(1, 100), pose(2, 400)], 0))).toEqual({ 1: 1, 2: 2 });
+    // Positions swap while the detector keeps its ids
+    expect(slotsOf(tracker.update([pose(1, 250), pose(2, 260)], 100))).toEqual({ 1: 1, 2: 2 });
+    // Person 2 is hidden behind person 1 ...
+    expect(slotsOf(tracker.update([pose(1, 300)], 200))).toEqual({ 1: 1 });
+    // ... and comes back with a new detector id near where it was last seen
+    expect(slotsOf(tracker.update([pose(1, 400), pose(9, 200)], 300))).toEqual({ 1: 1, 9: 2 });
+  });
+
+  it('does not hand a lost slot to someone far away', () => {
+    const tracker = new PersonTracker();
+    tracker.update([pose(1, 100), pose(2, 400)], 0);
+    tracker.update([pose(1, 100)], 100);
+    expect(slotsOf(tracker.update([pose(1, 100), pose(5, 1000)], 200))).toEqual({ 1: 1, 5: 3 });
+  });
+
+  it('expires slots after the lost timeout and reuses their number', () => {
+    const tracker = new PersonTracker({ lostTimeout: 1000 });
+    tracker.update([pose(1, 100), pose(2, 400)], 0);
+    tracker.update([pose(2, 400)], 500);
+    expect(tracker.expired(900)).toEqual([]);
+    expect(tracker.expired(1500)).toEqual([1]);
+
+    tracker.release(1);
+    expect(slotsOf(tracker.update([pose(2, 400), pose(4, 100)], 1600))).toEqual({ 2: 2, 4: 1 });
+  });
+});
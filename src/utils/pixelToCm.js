@@ -12,3 +12,45 @@ export function pxToCm(pixels, videoHeightPx, realUserHeightCm) {
   const scale = realUserHeightCm / videoHeightPx;
   return pixels * scale;
 }
+
+/**
+ * Known-size objects the user can hold up for scale calibration (cm)
+ */
+export const REFERENCE_OBJECTS = {
+  card: { label: 'ID / bank card', long: 8.56, short: 5.398 },
+  a4: { label: 'A4 sheet', long: 29.7, short: 21.0 },
+  letter: { label: 'US Letter sheet', long: 27.94, short: 21.59 }
+};
+
+/**
+ * Derive pixels-per-cm from the detected corners of a reference object
+ * 
+ * @param {Array<{x: number, y: number}>} corners - quadrilateral, in order around the object
+ * @param {{long: number, short: number}} object - real size in cm
+ * @returns {{pixelsPerCm: number, aspectError: number}} aspectError is the relative
+ *   mismatch between the detected and the real aspect ratio
+ */
+export function pixelsPerCmFromReference(corners, object) {
+  const side = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  const [a, b, c, d] = corners;
+  // Average opposite sides to soften perspective
+  const first = (side(a, b) + side(c, d)) / 2;
+  const second = (side(b, c) + side(d, a)) / 2;
+  const longPx = Math.max(first, second);
+  const shortPx = Math.min(first, second);
+
+  const expectedAspect = object.long / object.short;
+  return {
+    pixelsPerCm: (longPx / object.long + shortPx / object.short) / 2,
+    aspectError: Math.abs(longPx / shortPx - expectedAspect) / expectedAspect
+  };
+}
+
+/**
+ * Relative difference between two scales (e.g. height-based vs reference-based)
+ * 
+ * @returns {number} 0.05 means the scales disagree by 5%
+ */
+export function compareScales(pixelsPerCmA, pixelsPerCmB) {
+  return Math.abs(pixelsPerCmA - pixelsPerCmB) / Math.max(pixelsPerCmA, pixelsPerCmB);
+}
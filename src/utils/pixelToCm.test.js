@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { REFERENCE_OBJECTS, compareScales, pixelsPerCmFromReference, pxToCm } from './pixelToCm';
+
+describe('pxToCm', () => {
+  it('scales by real height over pixel height', () => {
+    expect(pxToCm(100, 500, 175)).toBe(35);
+  });
+});
+
+describe('pixelsPerCmFromReference', () => {
+  it('measures a card seen straight on', () => {
+    const { long, short } = REFERENCE_OBJECTS.card;
+    const corners = [{ x: 10, y: 10 }, { x: 10 + long * 10, y: 10 }, { x: 10 + long * 10, y: 10 + short * 10 }, { x: 10, y: 10 + short * 10 }];
+    const result = pixelsPerCmFromReference(corners, REFERENCE_OBJECTS.card);
+    expect(result.pixelsPerCm).toBeCloseTo(10, 10);
+    expect(result.aspectError).toBeCloseTo(0, 10);
+  });
+
+  it('does not care which side comes first', () => {
+    const corners = [{ x: 0, y: 0 }, { x: 210, y: 0 }, { x: 210, y: 297 }, { x: 0, y: 297 }];
+    expect(pixelsPerCmFromReference(corners, REFERENCE_OBJECTS.a4).pixelsPerCm).toBeCloseTo(10, 10);
+  });
+
+  it('reports how far the shape is from the object', () => {
+    const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+    const { aspectError } = pixelsPerCmFromReference(square, REFERENCE_OBJECTS.card);
+    expect(aspectError).toBeCloseTo(1 - 5.398 / 8.56, 10);
+  });
+});
+
+describe('compareScales', () => {
+  it('is the difference relative to the larger scale', () => {
+    expect(compareScales(10, 9.5)).toBeCloseTo(0.05, 10);
+    expect(compareScales(9.5, 10)).toBeCloseTo(0.05, 10);
+  });
+});
@@ -0,0 +1,195 @@
+// utils/poseCoach.js
+// Live framing advice. Checks each frame's keypoints against what the chosen
+// garments and the measurements need (visible joints, body size in frame,
+// centring, lean, light) and turns problems into short prompts. Readiness
+// has hysteresis so garments do not flicker on and off with single bad
+// frames.
+
+const RELIABLE_SCORE = 0.4;
+const VISIBLE_SCORE = 0.3;
+// Consecutive frames before a garment type turns on, or off again
+const ENTER_FRAMES = 5;
+const EXIT_FRAMES = 10;
+const MAX_PROMPTS = 2;
+
+// Left/right pairs; side-on, one joint of each pair is enough
+export const REQUIRED_JOINTS = {
+  shirt: ['shoulder', 'hip'],
+  jacket: ['shoulder', 'hip'],
+  dress: ['shoulder', 'hip', 'knee'],
+  pants: ['hip', 'knee', 'ankle'],
+  // Scale comes from nose-to-ankle height and widths from the shoulders
+  measure: ['nose', 'shoulder', 'hip', 'ankle']
+};
+
+const JOINT_LABELS = {
+  nose: 'Face',
+  shoulder: 'Shoulders',
+  hip: 'Hips',
+  knee: 'Knees',
+  ankle: 'Ankles'
+};
+
+// Head to toe order
+const labelsFor = (joints) =>
+  Object.keys(JOINT_LABELS).filter((joint) => joints.includes(joint)).map((joint) => JOINT_LABELS[joint]);
+
+export const joinLabels = (labels) =>
+  labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1].toLowerCase()}` : labels[0];
+
+function missingJoints(kp, joints, sideOn) {
+  return joints.filter((joint) => {
+    if (joint === 'nose') return !kp.nose;
+    const left = kp[`left_${joint}`];
+    const right = kp[`right_${joint}`];
+    return sideOn ? !left && !right : !left || !right;
+  });
+}
+
+/**
+ * One frame's check.
+ *
+ * @param {Array} keypoints - smoothed keypoints
+ * @param {Object} options
+ * @param {string[]} options.clothingTypes - types being worn
+ * @param {number} options.width - frame width in keypoint pixels
+ * @param {number} options.height - frame height
+ * @param {string} [options.orientation] - BodyMesh3D orientation
+ * @param {Object} [options.lighting] - utils/lighting estimate
+ * @param {boolean} [options.faceCamera] - a step that needs the user facing front
+ * @returns {{ prompts: Array, ready: Object, missing: Object }} prompts as
+ *   { id, icon, message }, most important first; ready maps each clothing
+ *   type and 'measure' to whether its joints are reliable this frame, and
+ *   missing to the labels of the joints that are not
+ */
+export function checkPose(keypoints, { clothingTypes, width, height, orientation, lighting, faceCamera = false }) {
+  const reliable = {};
+  const visible = [];
+  (keypoints || []).forEach((k) => {
+    if (k.score > RELIABLE_SCORE) reliable[k.name] = k;
+    if (k.score > VISIBLE_SCORE) visible.push(k);
+  });
+
+  const types = [...new Set([...clothingTypes, 'measure'])];
+  if (visible.length < 4) {
+    return {
+      prompts: [{ id: 'no-person', icon: '🚶', message: 'Step into the frame' }],
+      ready: Object.fromEntries(types.map((type) => [type, false])),
+      missing: Object.fromEntries(types.map((type) => [type, labelsFor(REQUIRED_JOINTS[type] || [])]))
+    };
+  }
+
+  const sideOn = orientation === 'side';
+  const ready = {};
+  const missingByType = {};
+  const missing = new Set();
+  types.forEach((type) => {
+    const gaps = missingJoints(reliable, REQUIRED_JOINTS[type] || [], sideOn);
+    ready[type] = gaps.length === 0;
+    missingByType[type] = labelsFor(gaps);
+    // Measurement gaps only matter once the garments are covered
+    if (type !== 'measure') gaps.forEach((joint) => missing.add(joint));
+  });
+
+  const prompts = [];
+  const xs = visible.map((k) => k.x);
+  const ys = visible.map((k) => k.y);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const cutOff = minY < height * 0.02 || maxY > height * 0.98;
+
+  if (missing.size > 0) {
+    const labels = labelsFor([...missing]);
+    const lowerBody = [...missing].every((joint) => joint === 'knee' || joint === 'ankle');
+    prompts.push({
+      id: 'missing',
+      icon: '👀',
+      message: `${joinLabels(labels)} not visible${lowerBody ? ' — step back' : ''}`
+    });
+  }
+  if (cutOff && !prompts.some((p) => p.message.endsWith('step back'))) {
+    prompts.push({ id: 'too-close', icon: '↩️', message: 'Step back so your whole body fits' });
+  } else if (reliable.nose && (reliable.left_ankle || reliable.right_ankle) && maxY - minY < height * 0.4) {
+    prompts.push({ id: 'too-far', icon: '↪️', message: 'Come a little closer' });
+  }
+
+  // The preview is not mirrored: the user's left is the image's right
+  const offset = centerX / width - 0.5;
+  if (Math.abs(offset) > 0.2) {
+    prompts.push({
+      id: 'off-center',
+      icon: offset > 0 ? '👉' : '👈',
+      message: `Move a step to your ${offset > 0 ? 'right' : 'left'}`
+    });
+  }
+
+  const shoulders = [reliable.left_shoulder, reliable.right_shoulder].filter(Boolean);
+  const hips = [reliable.left_hip, reliable.right_hip].filter(Boolean);
+  if (shoulders.length > 0 && hips.length > 0) {
+    const mid = (points) => ({
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    });
+    const top = mid(shoulders);
+    const bottom = mid(hips);
+    const lean = Math.abs(Math.atan2(top.x - bottom.x, bottom.y - top.y)) * 180 / Math.PI;
+    if (lean > 12) {
+      prompts.push({ id: 'lean', icon: '🧍', message: 'Stand up straight (or level the camera)' });
+    }
+  }
+
+  if (faceCamera && orientation && orientation !== 'front') {
+    prompts.push({ id: 'face-camera', icon: '👤', message: 'Turn to face the camera' });
+  }
+
+  if (lighting && lighting.brightness < 0.45) {
+    prompts.push({ id: 'dark', icon: '💡', message: 'Too dark — add light in front of you' });
+  } else if (lighting && lighting.contrast > 0.75) {
+    prompts.push({ id: 'side-light', icon: '💡', message: 'Uneven light — face the main light' });
+  } else if (!lighting && visible.reduce((sum, k) => sum + k.score, 0) / visible.length < 0.5) {
+    prompts.push({ id: 'low-confidence', icon: '💡', message: 'Hard to see you — try more light' });
+  }
+
+  return { prompts, ready, missing: missingByType };
+}
+
+/**
+ * checkPose over time: readiness flips only after several agreeing frames
+ * and prompts are limited to the most important few.
+ */
+export class PoseCoach {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.ready = {};
+    this.streaks = {};
+  }
+
+  // Same options as checkPose. Returns { prompts, ready, missing } with
+  // settled readiness
+  update(keypoints, options) {
+    const frame = checkPose(keypoints, options);
+
+    Object.entries(frame.ready).forEach(([type, ok]) => {
+      const current = this.ready[type] ?? false;
+      if (ok === current) {
+        this.streaks[type] = 0;
+        return;
+      }
+      this.streaks[type] = (this.streaks[type] || 0) + 1;
+      if (this.streaks[type] >= (ok ? ENTER_FRAMES : EXIT_FRAMES)) {
+        this.ready[type] = ok;
+        this.streaks[type] = 0;
+      }
+    });
+
+    return {
+      prompts: frame.prompts.slice(0, MAX_PROMPTS),
+      ready: Object.fromEntries(Object.keys(frame.ready).map((type) => [type, this.ready[type] ?? false])),
+      missing: frame.missing
+    };
+  }
+}
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { PoseCoach, checkPose, joinLabels } from './poseCoach';
+
+const FRAME = { width: 640, height: 480 };
+
+// Standing, facing the camera, centred and fully in frame
+function body({ dx = 0, score = 0.9, without = [] } = {}) {
+  const points = {
+    nose: [320, 60],
+    left_shoulder: [350, 120],
+    right_shoulder: [290, 120],
+    left_hip: [340, 250],
+    right_hip: [300, 250],
+    left_knee: [340, 340],
+    right_knee: [300, 340],
+    left_ankle: [340, 440],
+    right_ankle: [300, 440]
+  };
+  return Object.entries(points)
+    .filter(([name]) => !without.includes(name))
+    .map(([name, [x, y]]) => ({ name, x: x + dx, y, score }));
+}
+
+describe('joinLabels', () => {
+  it('joins labels into a sentence', () => {
+    expect(joinLabels(['Hips'])).toBe('Hips');
+    expect(joinLabels(['Shoulders', 'Hips', 'Knees'])).toBe('Shoulders, Hips and knees');
+  });
+});
+
+describe('checkPose', () => {
+  it('has nothing to say about a well framed body', () => {
+    const result = checkPose(body(), { ...FRAME, clothingTypes: ['shirt', 'pants'] });
+    expect(result.prompts).toEqual([]);
+    expect(result.ready).toEqual({ shirt: true, pants: true, measure: true });
+  });
+
+  it('asks the user to step in when too little is visible', () => {
+    const result = checkPose(body().slice(0, 3), { ...FRAME, clothingTypes: ['shirt'] });
+    expect(result.prompts.map((p) => p.id)).toEqual(['no-person']);
+    expect(result.ready).toEqual({ shirt: false, measure: false });
+    expect(result.missing.shirt).toEqual(['Shoulders', 'Hips']);
+  });
+
+  it('names missing joints and suggests stepping back for the lower body', () => {
+    const result = checkPose(body({ without: ['left_ankle'] }), { ...FRAME, clothingTypes: ['pants'] });
+    expect(result.ready.pants).toBe(false);
+    expect(result.missing.pants).toEqual(['Ankles']);
+    expect(result.prompts[0].message).toBe('Ankles not visible — step back');
+  });
+
+  it('needs only one joint of each pair side-on', () => {
+    const keypoints = body({ without: ['right_shoulder', 'right_hip', 'right_knee', 'right_ankle'] });
+    const front = checkPose(keypoints, { ...FRAME, clothingTypes: ['dress'] });
+    const side = checkPose(keypoints, { ...FRAME, clothingTypes: ['dress'], orientation: 'side' });
+    expect(front.ready.dress).toBe(false);
+    expect(side.ready.dress).toBe(true);
+  });
+
+  it('points the user back to the centre in their own left and right', () => {
+    const result = checkPose(body({ dx: 200 }), { ...FRAME, clothingTypes: ['shirt'] });
+    expect(result.prompts).toContainEqual(expect.objectContaining({ id: 'off-center', message: 'Move a step to your right' }));
+  });
+
+  it('reports poor light', () => {
+    const options = { ...FRAME, clothingTypes: ['shirt'] };
+    expect(checkPose(body(), { ...options, lighting: { brightness: 0.3, contrast: 0.2 } }).prompts[0].id).toBe('dark');
+    expect(checkPose(body({ score: 0.45 }), options).prompts[0].id).toBe('low-confidence');
+  });
+});
+
+describe('PoseCoach', () => {
+  const options = { ...FRAME, clothingTypes: ['pants'] };
+
+  it('turns a garment on only after several ready frames', () => {
+    const coach = new PoseCoach();
+    for (let frame = 0; frame < 4; frame++) {
+      expect(coach.update(body(), options).ready.pants).toBe(false);
+    }
+    expect(coach.update(body(), options).ready.pants).toBe(true);
+  });
+
+  it('keeps it on through a few bad frames', () => {
+    const coach = new PoseCoach();
+    for (let frame = 0; frame < 5; frame++) coach.update(body(), options);
+
+    const hidden = body({ without: ['left_ankle'] });
+    for (let frame = 0; frame < 9; frame++) {
+      expect(coach.update(hidden, options).ready.pants).toBe(true);
+    }
+    expect(coach.update(hidden, options).ready.pants).toBe(false);
+  });
+
+  it('limits the prompts shown at once', () => {
+    const coach = new PoseCoach();
+    const result = coach.update(body({ dx: 200, without: ['left_ankle'] }), {
+      ...options,
+      lighting: { brightness: 0.2, contrast: 0 }
+    });
+    expect(result.prompts).toHaveLength(2);
+    expect(result.prompts[0].id).toBe('missing');
+  });
+});
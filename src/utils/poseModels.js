@@ -0,0 +1,97 @@
+// utils/poseModels.js
+// Pose detector choices and keypoint normalization. Every model's output is
+// reduced to the 17 COCO keypoints (MoveNet's set), in that order, so
+// BodyMesh3D, smoothing and session recording work with any of them.
+
+import * as posedetection from '@tensorflow-models/pose-detection';
+
+export const KEYPOINT_NAMES = [
+  'nose',
+  'left_eye', 'right_eye',
+  'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder',
+  'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist',
+  'left_hip', 'right_hip',
+  'left_knee', 'right_knee',
+  'left_ankle', 'right_ankle'
+];
+
+const { MoveNet, BlazePose } = posedetection.SupportedModels;
+
+// BlazePose runs on the tfjs runtime so every model shares the TF.js
+// backend; its built-in smoothing is off because KeypointSmoother does that
+export const POSE_MODELS = {
+  'movenet-lightning': {
+    label: 'MoveNet Lightning',
+    model: MoveNet,
+    config: { modelType: posedetection.movenet.modelType.SINGLEPOSE_LIGHTNING }
+  },
+  'movenet-thunder': {
+    label: 'MoveNet Thunder',
+    model: MoveNet,
+    config: { modelType: posedetection.movenet.modelType.SINGLEPOSE_THUNDER }
+  },
+  // Several people at once. Tracking gives each person a stable pose.id;
+  // the keypoint tracker copes better than boxes when people overlap
+  'movenet-multipose': {
+    label: 'MoveNet MultiPose',
+    model: MoveNet,
+    multiPerson: true,
+    config: {
+      modelType: posedetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+      enableTracking: true,
+      trackerType: posedetection.TrackerType.Keypoint
+    }
+  },
+  'blazepose-lite': {
+    label: 'BlazePose Lite',
+    model: BlazePose,
+    config: { runtime: 'tfjs', modelType: 'lite', enableSmoothing: false }
+  },
+  'blazepose-full': {
+    label: 'BlazePose Full',
+    model: BlazePose,
+    config: { runtime: 'tfjs', modelType: 'full', enableSmoothing: false }
+  },
+  'blazepose-heavy': {
+    label: 'BlazePose Heavy',
+    model: BlazePose,
+    config: { runtime: 'tfjs', modelType: 'heavy', enableSmoothing: false }
+  }
+};
+
+export const DEFAULT_POSE_MODEL = 'movenet-lightning';
+
+export function createPoseDetector(modelId = DEFAULT_POSE_MODEL) {
+  const entry = POSE_MODELS[modelId];
+  if (!entry) throw new Error(`Unknown pose model: ${modelId}`);
+  return posedetection.createDetector(entry.model, entry.config);
+}
+
+function pickKeypoints(keypoints, model) {
+  const byName = new Map(keypoints.filter((k) => k.name).map((k) => [k.name, k]));
+  const indexByName = posedetection.util.getKeypointIndexByName(model);
+
+  return KEYPOINT_NAMES.map((name) => {
+    const k = byName.get(name) ?? keypoints[indexByName[name]];
+    return k
+      ? { ...k, name, score: k.score ?? 0 }
+      : { name, x: 0, y: 0, score: 0 };
+  });
+}
+
+/**
+ * Reduces a detector pose to the 17 named COCO keypoints, keeping the
+ * tracking id of multi-person models. keypoints3D (BlazePose only, metres
+ * around the hip centre) are reduced the same way, or null when the model
+ * does not provide them.
+ */
+export function normalizePose(pose, modelId = DEFAULT_POSE_MODEL) {
+  const { model } = POSE_MODELS[modelId];
+  return {
+    id: pose.id ?? null,
+    keypoints: pickKeypoints(pose.keypoints, model),
+    keypoints3D: pose.keypoints3D ? pickKeypoints(pose.keypoints3D, model) : null
+  };
+}
@@ -0,0 +1,108 @@
+// utils/poseSession.js
+// Recording and replay of pose keypoint streams, so rendering can be
+// reproduced or demoed without a camera.
+//
+// Session file (JSON):
+// {
+//   version: 1,
+//   createdAt: ISO date,
+//   video: { width, height },        // source frame size the keypoints refer to
+//   model: string,                   // detector that produced the keypoints
+//   background: data URL | null,     // optional still frame from the recording
+//   frames: [{ t: ms since start, keypoints: [{ name, x, y, score }] }]
+// }
+
+export const SESSION_VERSION = 1;
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+export class PoseSessionRecorder {
+  constructor({ width, height, model, background = null }) {
+    this.session = {
+      version: SESSION_VERSION,
+      createdAt: new Date().toISOString(),
+      video: { width, height },
+      model,
+      background,
+      frames: []
+    };
+    this.startTime = null;
+  }
+
+  // Keypoints should be the raw detector output, so replay runs through the
+  // same smoothing as live tracking
+  addFrame(keypoints, timestamp) {
+    if (this.startTime === null) this.startTime = timestamp;
+    this.session.frames.push({
+      t: round(timestamp - this.startTime, 1),
+      keypoints: keypoints.map(({ name, x, y, score }) => ({
+        name,
+        x: round(x, 2),
+        y: round(y, 2),
+        score: round(score, 3)
+      }))
+    });
+  }
+
+  get frameCount() {
+    return this.session.frames.length;
+  }
+
+  stop() {
+    return this.session;
+  }
+}
+
+export function serializeSession(session) {
+  return JSON.stringify(session);
+}
+
+export function parseSession(text) {
+  const session = JSON.parse(text);
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${session.version}`);
+  }
+  if (!session.video?.width || !session.video?.height) {
+    throw new Error('Session is missing video dimensions');
+  }
+  if (!Array.isArray(session.frames) || session.frames.length === 0) {
+    throw new Error('Session has no frames');
+  }
+  return session;
+}
+
+/**
+ * Steps through a session by recorded time. Frames are returned scaled to
+ * the target canvas size and always in recorded order, so feeding every
+ * frame through the pipeline gives the same output on every replay.
+ */
+export class PoseSessionPlayer {
+  constructor(session, canvasWidth, canvasHeight) {
+    const scaleX = canvasWidth / session.video.width;
+    const scaleY = canvasHeight / session.video.height;
+    this.frames = session.frames.map((frame) => ({
+      t: frame.t,
+      keypoints: frame.keypoints.map((k) => ({ ...k, x: k.x * scaleX, y: k.y * scaleY }))
+    }));
+  }
+
+  get duration() {
+    return this.frames[this.frames.length - 1].t;
+  }
+
+  // Index of the last frame recorded at or before `time`
+  indexAt(time) {
+    let lo = 0;
+    let hi = this.frames.length - 1;
+    if (time < this.frames[0].t) return -1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (this.frames[mid].t <= time) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import {
+  PoseSessionPlayer,
+  PoseSessionRecorder,
+  SESSION_VERSION,
+  parseSession,
+  serializeSession
+} from './poseSession';
+
+const keypoints = (x, y) => [
+  { name: 'nose', x, y, score: 0.91234 },
+  { name: 'left_shoulder', x: x - 20.123, y: y + 40.456, score: 0.8 }
+];
+
+function record() {
+  const recorder = new PoseSessionRecorder({ width: 640, height: 480, model: 'movenet' });
+  recorder.addFrame(keypoints(100, 50), 1000);
+  recorder.addFrame(keypoints(110, 52), 1033.33);
+  recorder.addFrame(keypoints(120, 54), 1066.67);
+  return recorder.stop();
+}
+
+describe('PoseSessionRecorder', () => {
+  it('stores frame times relative to the first frame and rounds values', () => {
+    const session = record();
+    expect(session.version).toBe(SESSION_VERSION);
+    expect(session.video).toEqual({ width: 640, height: 480 });
+    expect(session.frames.map((f) => f.t)).toEqual([0, 33.3, 66.7]);
+    expect(session.frames[0].keypoints[1]).toEqual({ name: 'left_shoulder', x: 79.88, y: 90.46, score: 0.8 });
+    expect(session.frames[0].keypoints[0].score).toBe(0.912);
+  });
+});
+
+describe('serializeSession / parseSession', () => {
+  it('round-trips a recorded session', () => {
+    const session = record();
+    expect(parseSession(serializeSession(session))).toEqual(session);
+  });
+
+  it('rejects other versions', () => {
+    const text = serializeSession({ ...record(), version: SESSION_VERSION + 1 });
+    expect(() => parseSession(text)).toThrow('Unsupported session version');
+  });
+
+  it('rejects sessions without video dimensions or frames', () => {
+    expect(() => parseSession(serializeSession({ ...record(), video: {} }))).toThrow('video dimensions');
+    expect(() => parseSession(serializeSession({ ...record(), frames: [] }))).toThrow('no frames');
+  });
+});
+
+describe('PoseSessionPlayer', () => {
+  it('scales keypoints to the canvas', () => {
+    const player = new PoseSessionPlayer(record(), 320, 960);
+    expect(player.frames[0].keypoints[0]).toMatchObject({ x: 50, y: 100 });
+    expect(player.duration).toBe(66.7);
+  });
+
+  it('finds the last frame at or before a time', () => {
+    const player = new PoseSessionPlayer(record(), 640, 480);
+    expect(player.indexAt(-1)).toBe(-1);
+    expect(player.indexAt(0)).toBe(0);
+    expect(player.indexAt(33.2)).toBe(0);
+    expect(player.indexAt(33.3)).toBe(1);
+    expect(player.indexAt(1000)).toBe(2);
+  });
+});
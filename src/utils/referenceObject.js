@@ -0,0 +1,90 @@
+// utils/referenceObject.js
+// Finds a flat, evenly coloured rectangle (card, sheet of paper) around a
+// point the user tapped, and returns its four corners.
+
+const MAX_REGION_SHARE = 0.4;
+const MIN_REGION_PIXELS = 200;
+const MIN_FILL_RATIO = 0.8;
+
+function quadArea(corners) {
+  let area = 0;
+  corners.forEach((p, i) => {
+    const q = corners[(i + 1) % corners.length];
+    area += p.x * q.y - q.x * p.y;
+  });
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Region-grows from (seedX, seedY) over pixels close to the region's running
+ * mean colour, then takes the extreme points along both diagonals as corners.
+ *
+ * @param {ImageData} imageData - frame to search
+ * @param {number} seedX - tapped point
+ * @param {number} seedY - tapped point
+ * @param {Object} options
+ * @param {number} options.tolerance - RGB distance from the mean colour
+ * @returns {Array<{x, y}>|null} corners clockwise from top-left, or null when
+ *   the region does not look like a rectangle
+ */
+export function detectReferenceObject(imageData, seedX, seedY, { tolerance = 38 } = {}) {
+  const { width, height, data } = imageData;
+  const total = width * height;
+  const start = Math.round(seedY) * width + Math.round(seedX);
+  if (start < 0 || start >= total) return null;
+
+  const visited = new Uint8Array(total);
+  const queue = new Int32Array(total);
+  let head = 0;
+  let tail = 0;
+  const mean = [data[start * 4], data[start * 4 + 1], data[start * 4 + 2]];
+  let count = 0;
+
+  visited[start] = 1;
+  queue[tail++] = start;
+
+  while (head < tail) {
+    const p = queue[head++];
+    const i = p * 4;
+    count++;
+    for (let c = 0; c < 3; c++) mean[c] += (data[i + c] - mean[c]) / count;
+    if (count > total * MAX_REGION_SHARE) return null;
+
+    const x = p % width;
+    const neighbours = [
+      x > 0 ? p - 1 : -1,
+      x < width - 1 ? p + 1 : -1,
+      p >= width ? p - width : -1,
+      p < total - width ? p + width : -1
+    ];
+    for (const n of neighbours) {
+      if (n < 0 || visited[n]) continue;
+      const j = n * 4;
+      const diff = Math.hypot(data[j] - mean[0], data[j + 1] - mean[1], data[j + 2] - mean[2]);
+      if (diff < tolerance) {
+        visited[n] = 1;
+        queue[tail++] = n;
+      }
+    }
+  }
+
+  if (count < MIN_REGION_PIXELS) return null;
+
+  let topLeft, topRight, bottomRight, bottomLeft;
+  for (let k = 0; k < tail; k++) {
+    const p = queue[k];
+    const x = p % width;
+    const y = (p - x) / width;
+    if (!topLeft || x + y < topLeft.x + topLeft.y) topLeft = { x, y };
+    if (!bottomRight || x + y > bottomRight.x + bottomRight.y) bottomRight = { x, y };
+    if (!topRight || x - y > topRight.x - topRight.y) topRight = { x, y };
+    if (!bottomLeft || x - y < bottomLeft.x - bottomLeft.y) bottomLeft = { x, y };
+  }
+
+  // A rectangle fills its corner quadrilateral; blobs and hands do not
+  const corners = [topLeft, topRight, bottomRight, bottomLeft];
+  const area = quadArea(corners);
+  if (area === 0 || count / area < MIN_FILL_RATIO) return null;
+
+  return corners;
+}
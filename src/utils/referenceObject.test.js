@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { detectReferenceObject } from './referenceObject';
+
+// Dark frame with light rectangles [x, y, width, height]
+function frame(width, height, rects) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = rects.some(([rx, ry, rw, rh]) => x >= rx && x < rx + rw && y >= ry && y < ry + rh);
+      const i = (y * width + x) * 4;
+      data.fill(inside ? 230 : 40, i, i + 3);
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+describe('detectReferenceObject', () => {
+  it('returns the corners of the tapped rectangle clockwise from top-left', () => {
+    const corners = detectReferenceObject(frame(100, 100, [[20, 30, 43, 27]]), 40, 40);
+    expect(corners).toEqual([{ x: 20, y: 30 }, { x: 62, y: 30 }, { x: 62, y: 56 }, { x: 20, y: 56 }]);
+  });
+
+  it('rejects regions that are too small, too large or not rectangular', () => {
+    expect(detectReferenceObject(frame(100, 100, [[20, 20, 10, 10]]), 25, 25)).toBeNull();
+    expect(detectReferenceObject(frame(100, 100, []), 50, 50)).toBeNull();
+    // An L shape
+    const shape = frame(100, 100, [[10, 10, 60, 15], [10, 10, 15, 60]]);
+    expect(detectReferenceObject(shape, 15, 15)).toBeNull();
+  });
+
+  it('ignores taps outside the frame', () => {
+    expect(detectReferenceObject(frame(10, 10, []), 5, 20)).toBeNull();
+  });
+});
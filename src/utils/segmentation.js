@@ -0,0 +1,53 @@
+// utils/segmentation.js
+// Person segmentation used to composite the garment behind the user's arms
+// and to keep garment pixels inside the body silhouette (utils/occlusion).
+// MediaPipe loads its runtime as scripts, so this stays on the main thread.
+import * as selfieSegmentation from "@mediapipe/selfie_segmentation";
+
+const SEGMENTATION_CDN = "https://cdn.jsdelivr.net/npm/@mediapipe/selfie_segmentation";
+
+// The MediaPipe bundle registers itself on the global object, which production
+// builds do not always surface as a named export
+const SelfieSegmentation = selfieSegmentation.SelfieSegmentation || globalThis.SelfieSegmentation;
+
+/**
+ * Wraps MediaPipe Selfie Segmentation and keeps the latest person mask in
+ * its own canvas (alpha = person confidence), sized to the render canvas.
+ */
+export class PersonSegmenter {
+  constructor(width, height, { modelSelection = 1 } = {}) {
+    this.modelSelection = modelSelection;
+    this.maskCanvas = document.createElement('canvas');
+    this.maskCanvas.width = width;
+    this.maskCanvas.height = height;
+    this.maskCtx = this.maskCanvas.getContext('2d');
+    this.hasMask = false;
+    this.segmenter = null;
+  }
+
+  async init() {
+    const segmenter = new SelfieSegmentation({
+      locateFile: (file) => `${SEGMENTATION_CDN}/${file}`
+    });
+    segmenter.setOptions({ modelSelection: this.modelSelection });
+    segmenter.onResults((results) => {
+      const { width, height } = this.maskCanvas;
+      this.maskCtx.clearRect(0, 0, width, height);
+      this.maskCtx.drawImage(results.segmentationMask, 0, 0, width, height);
+      this.hasMask = true;
+    });
+    await segmenter.initialize();
+    this.segmenter = segmenter;
+  }
+
+  async segment(image) {
+    if (!this.segmenter) return null;
+    await this.segmenter.send({ image });
+    return this.hasMask ? this.maskCanvas : null;
+  }
+
+  close() {
+    this.segmenter?.close();
+    this.segmenter = null;
+  }
+}
@@ -0,0 +1,170 @@
+// utils/sizeRecommendation.js
+// Brand size charts and size recommendation from measured body dimensions.
+//
+// A chart is { name, sizes: [{ size, ranges: { chest: [min, max], ... } }] }
+// with all ranges in centimetres. Supported measurements match the keys of
+// BodyMesh3D measurements (shoulder maps to shoulderWidth).
+
+const MEASUREMENT_KEYS = {
+  chest: 'chest',
+  waist: 'waist',
+  hip: 'hip',
+  shoulder: 'shoulderWidth'
+};
+
+const UNIT_SCALES = { cm: 1, in: 2.54 };
+
+// Girths BodyMesh3D only knows from a front + side capture; otherwise they
+// are ratios of the shoulder width
+const CIRCUMFERENCES = ['chest', 'waist', 'hip'];
+
+// Being squeezed is worse than a bit of ease, so tight deviations cost more
+const TIGHT_PENALTY = 1.5;
+
+function toRange(value, scale) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return [Number(value[0]) * scale, Number(value[1]) * scale];
+  if (typeof value === 'object') return [Number(value.min) * scale, Number(value.max) * scale];
+  // "96-101" or a single number
+  const [min, max = min] = String(value).split(/\s*[-–]\s*/).map(Number);
+  return [min * scale, max * scale];
+}
+
+function normalizeSize(entry, scale) {
+  const ranges = {};
+  Object.keys(MEASUREMENT_KEYS).forEach((key) => {
+    let range = toRange(entry[key] ?? entry.ranges?.[key], scale);
+    if (!range && (entry[`${key}_min`] !== undefined || entry[`${key}_max`] !== undefined)) {
+      range = toRange({ min: entry[`${key}_min`], max: entry[`${key}_max`] ?? entry[`${key}_min`] }, scale);
+    }
+    if (range && range.every(Number.isFinite)) ranges[key] = range;
+  });
+
+  if (!entry.size || Object.keys(ranges).length === 0) {
+    throw new Error(`Size chart entry "${entry.size ?? '?'}" has no usable measurements`);
+  }
+  return { size: String(entry.size), ranges };
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+  if (lines.length < 2) throw new Error('Size chart CSV needs a header and at least one size');
+
+  const header = lines[0].split(',').map((h) => h.trim().toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',').map((c) => c.trim());
+    return Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+  });
+}
+
+/**
+ * Parses a size chart from JSON or CSV text.
+ *
+ * JSON: { "name": "Brand", "unit": "cm" | "in", "sizes": [
+ *   { "size": "M", "chest": [96, 101], "waist": { "min": 81, "max": 86 } } ] }
+ * CSV: size,chest_min,chest_max,waist_min,waist_max,hip_min,hip_max[,unit]
+ *   (a cell may also hold a "96-101" range under a plain "chest" column)
+ * Every row must use the same unit; mixed charts are rejected.
+ *
+ * @param {string} text - file contents
+ * @param {string} fileName - used to pick the format and as a fallback name
+ * @returns {{ name: string, sizes: Array }} chart with ranges in cm
+ */
+export function parseSizeChart(text, fileName = 'size-chart') {
+  const isJson = fileName.toLowerCase().endsWith('.json') || text.trim().startsWith('{') || text.trim().startsWith('[');
+  let name = fileName.replace(/\.(json|csv)$/i, '');
+  let unit = 'cm';
+  let rows;
+
+  if (isJson) {
+    const parsed = JSON.parse(text);
+    rows = Array.isArray(parsed) ? parsed : parsed.sizes;
+    name = parsed.name || name;
+    unit = parsed.unit || unit;
+  } else {
+    rows = parseCsv(text);
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('Size chart has no sizes');
+  }
+
+  // A unit on a row overrides the chart's, but one chart must use one unit
+  const units = new Set(rows.map((row) => String(row.unit || unit).toLowerCase()));
+  if (units.size > 1) {
+    throw new Error(`Size chart mixes units (${[...units].join(', ')})`);
+  }
+  [unit] = units;
+  if (!UNIT_SCALES[unit]) {
+    throw new Error(`Unknown size chart unit "${unit}" (use cm or in)`);
+  }
+
+  return { name, sizes: rows.map((row) => normalizeSize(row, UNIT_SCALES[unit])) };
+}
+
+function fitFor(value, [min, max]) {
+  if (value > max) return 'tight';
+  if (value < min) return 'loose';
+  return 'good';
+}
+
+function scoreSize(measurements, entry) {
+  let score = 0;
+  const fit = {};
+
+  Object.entries(entry.ranges).forEach(([key, range]) => {
+    if (!measurements.measured && CIRCUMFERENCES.includes(key)) return;
+    const value = measurements[MEASUREMENT_KEYS[key]];
+    if (!Number.isFinite(value)) return;
+
+    const [min, max] = range;
+    const width = Math.max(max - min, 1);
+    fit[key] = fitFor(value, range);
+
+    let deviation = 0;
+    if (value > max) deviation = (value - max) / width * TIGHT_PENALTY;
+    else if (value < min) deviation = (min - value) / width;
+    // Prefer sizes where the body sits near the middle of the range
+    const centre = Math.abs(value - (min + max) / 2) / width * 0.1;
+    score += deviation * deviation + centre;
+  });
+
+  return { size: entry.size, score, fit };
+}
+
+/**
+ * Whether measurements are good enough to pick a size from the chart.
+ * Chest, waist and hip need a front + side capture (measured); a
+ * reference-object calibration (calibrated) only makes the shoulder width
+ * real, so it is enough only for charts with shoulder ranges.
+ *
+ * @param {Object} measurements - BodyMesh3D measurements
+ * @param {Object} chart - parsed size chart
+ * @returns {boolean}
+ */
+export function canRecommendSize(measurements, chart) {
+  if (measurements?.measured) return true;
+  return !!measurements?.calibrated && !!chart?.sizes?.some((entry) => entry.ranges.shoulder);
+}
+
+/**
+ * Ranks the chart's sizes for a measurement set. Without a front + side
+ * capture only the shoulder ranges are compared.
+ *
+ * @param {Object} measurements - BodyMesh3D measurements (cm)
+ * @param {Object} chart - parsed size chart
+ * @returns {{ best, runnerUp, shouldersOnly }|null} best and runnerUp each
+ *   { size, score, fit: { chest: 'tight'|'good'|'loose', ... } }; null when
+ *   canRecommendSize is false
+ */
+export function recommendSize(measurements, chart) {
+  if (!canRecommendSize(measurements, chart)) return null;
+
+  const ranked = chart.sizes
+    .map((entry) => scoreSize(measurements, entry))
+    .filter((result) => Object.keys(result.fit).length > 0)
+    .sort((a, b) => a.score - b.score);
+
+  if (ranked.length === 0) return null;
+  return { best: ranked[0], runnerUp: ranked[1] || null, shouldersOnly: !measurements.measured };
+}
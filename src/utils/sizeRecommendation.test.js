@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { canRecommendSize, parseSizeChart, recommendSize } from './sizeRecommendation';
+
+const CSV = `# Brand tops
+size,chest_min,chest_max,waist_min,waist_max
+S,88,93,73,78
+M,94,101,79,86
+L,102,109,87,94
+`;
+
+describe('parseSizeChart', () => {
+  it('reads min/max CSV columns', () => {
+    const chart = parseSizeChart(CSV, 'brand.csv');
+    expect(chart.name).toBe('brand');
+    expect(chart.sizes.map((s) => s.size)).toEqual(['S', 'M', 'L']);
+    expect(chart.sizes[1].ranges).toEqual({ chest: [94, 101], waist: [79, 86] });
+  });
+
+  it('reads range cells and converts inches', () => {
+    const chart = parseSizeChart('size,chest,shoulder,unit\r\nM,38-40,17,in\r\n', 'inches.csv');
+    expect(chart.sizes[0].ranges.chest).toEqual([38 * 2.54, 40 * 2.54]);
+    expect(chart.sizes[0].ranges.shoulder).toEqual([17 * 2.54, 17 * 2.54]);
+  });
+
+  it('reads JSON charts with array and object ranges', () => {
+    const chart = parseSizeChart(JSON.stringify({
+      name: 'Brand',
+      unit: 'in',
+      sizes: [{ size: 'M', chest: [38, 40], waist: { min: 32, max: 34 } }]
+    }), 'chart.json');
+    expect(chart.name).toBe('Brand');
+    expect(chart.sizes[0].ranges).toEqual({ chest: [96.52, 101.6], waist: [81.28, 86.36] });
+  });
+
+  it('reads a bare JSON array of sizes', () => {
+    const chart = parseSizeChart('[{ "size": "S", "hip": "90–95" }]', 'chart');
+    expect(chart.sizes[0].ranges).toEqual({ hip: [90, 95] });
+  });
+
+  it('rejects charts that mix units', () => {
+    const text = 'size,chest,unit\nS,88-93,cm\nM,37-40,in\n';
+    expect(() => parseSizeChart(text, 'mixed.csv')).toThrow('mixes units (cm, in)');
+  });
+
+  it('rejects unknown units, empty charts and sizes without measurements', () => {
+    expect(() => parseSizeChart('size,chest,unit\nM,90-95,mm\n', 'a.csv')).toThrow('Unknown size chart unit');
+    expect(() => parseSizeChart('size,chest\n', 'a.csv')).toThrow('header and at least one size');
+    expect(() => parseSizeChart('{ "sizes": [] }', 'a.json')).toThrow('no sizes');
+    expect(() => parseSizeChart('size,inseam\nM,80\n', 'a.csv')).toThrow('"M" has no usable measurements');
+  });
+});
+
+describe('canRecommendSize', () => {
+  const chart = parseSizeChart(CSV, 'brand.csv');
+  const shoulderChart = parseSizeChart('size,shoulder\nM,44-47\n', 'shoulders.csv');
+
+  it('needs a front + side capture for girth-only charts', () => {
+    expect(canRecommendSize({ measured: true }, chart)).toBe(true);
+    expect(canRecommendSize({ calibrated: true }, chart)).toBe(false);
+    expect(canRecommendSize({}, shoulderChart)).toBe(false);
+  });
+
+  it('accepts a calibrated shoulder width for charts with shoulder ranges', () => {
+    expect(canRecommendSize({ calibrated: true }, shoulderChart)).toBe(true);
+  });
+});
+
+describe('recommendSize', () => {
+  const chart = parseSizeChart(CSV, 'brand.csv');
+
+  it('ranks sizes by fit', () => {
+    const result = recommendSize({ measured: true, chest: 97, waist: 82 }, chart);
+    expect(result.best).toMatchObject({ size: 'M', fit: { chest: 'good', waist: 'good' } });
+    expect(result.shouldersOnly).toBe(false);
+  });
+
+  it('prefers a little ease over a tight fit', () => {
+    // 2 cm over S or 2 cm under L would both miss; M is good, and between
+    // S and L the looser one ranks next
+    const result = recommendSize({ measured: true, chest: 100, waist: 85 }, chart);
+    expect(result.best.size).toBe('M');
+    expect(result.runnerUp.size).toBe('L');
+  });
+
+  it('marks fits as tight or loose', () => {
+    const result = recommendSize({ measured: true, chest: 115, waist: 96 }, chart);
+    expect(result.best).toMatchObject({ size: 'L', fit: { chest: 'tight', waist: 'tight' } });
+  });
+
+  it('compares only shoulders without a front + side capture', () => {
+    const mixed = parseSizeChart('size,chest,shoulder\nS,80-90,40-43\nM,90-100,44-47\n', 'tops.csv');
+    // Ratio-based girths would pick S; the calibrated shoulder width picks M
+    const result = recommendSize({ calibrated: true, chest: 85, shoulderWidth: 45 }, mixed);
+    expect(result.best).toMatchObject({ size: 'M', fit: { shoulder: 'good' } });
+    expect(result.best.fit.chest).toBeUndefined();
+    expect(result.shouldersOnly).toBe(true);
+  });
+
+  it('returns null when the measurements cannot pick a size', () => {
+    expect(recommendSize({ calibrated: true, chest: 97 }, chart)).toBeNull();
+  });
+});
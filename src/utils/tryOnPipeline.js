@@ -0,0 +1,622 @@
+// utils/tryOnPipeline.js
+// Everything the live try-on does per frame: pose detection, smoothing, body
+// meshes, framing advice, cloth, scene light, measurement capture, session
+// recording and drawing the composited frame onto its canvas. It is driven
+// only by messages and answers only by messages, so the same code runs in
+// the try-on worker on a transferred OffscreenCanvas or, where a canvas
+// cannot be handed over, on the main thread.
+//
+// In:  init { canvas }, renderer { renderer }, poseModel, configure { settings },
+//      layers, frame { frame, mask } (ImageBitmaps, closed here), replay
+//      { frames, restart }, replayBackground { image }, replayEnd,
+//      resetSmoothing, startCapture { generation }, cancelCapture,
+//      startRecording { meta, generation }, stopRecording, snapshot,
+//      startMirror, stopMirror
+//      (generation is echoed in updates so the page can drop stale ones)
+// Out: ready, detector { poseModel, error? }, frameDone, update (throttled),
+//      circumferences, expired, session, snapshot { image, error? },
+//      mirrorFrame { image } after every drawn frame while mirroring; error
+//      { error } when the worker itself fails
+//
+// Every frame is answered with exactly one frameDone, even when it fails.
+
+import * as tf from '@tensorflow/tfjs';
+import { BodyMesh3D } from './bodyMesh';
+import { createCanvas } from './canvas';
+import { estimateCircumferences, getMeasurementLines, measureSilhouette } from './circumference';
+import { ClothSimulator } from './clothSimulation';
+import { createClothingRenderer } from './clothingRenderer';
+import { KeypointSmoother } from './keypointFilter';
+import { LightingEstimator } from './lighting';
+import { clipToSilhouette, drawArmOcclusion } from './occlusion';
+import { PersonTracker } from './personTracker';
+import { PoseCoach } from './poseCoach';
+import { POSE_MODELS, createPoseDetector, normalizePose } from './poseModels';
+import { PoseSessionRecorder } from './poseSession';
+
+// Detection, segmentation and drawing all work on a 640×480 frame
+export const FRAME_WIDTH = 640;
+export const FRAME_HEIGHT = 480;
+// Frames averaged per view during a front + side measurement capture
+export const CAPTURE_SAMPLES = 15;
+// The overlay only needs a few measurement and orientation updates a second;
+// more would re-render the whole page every frame
+const UPDATE_INTERVAL_MS = 200;
+
+// Marker colours for tracked people, by slot
+const PERSON_COLORS = ['#22c55e', '#3b82f6', '#f59e0b', '#ec4899', '#a855f7', '#14b8a6'];
+export const personColor = (slot) => PERSON_COLORS[(slot - 1) % PERSON_COLORS.length];
+
+// Numbered tag above a tracked person's head, matching their panel
+function drawPersonLabel(ctx, keypoints, slot) {
+  const visible = keypoints.filter(kp => kp.score > 0.3);
+  if (visible.length === 0) return;
+  const x = visible.reduce((sum, kp) => sum + kp.x, 0) / visible.length;
+  const y = Math.max(14, Math.min(...visible.map(kp => kp.y)) - 24);
+
+  ctx.beginPath();
+  ctx.arc(x, y, 11, 0, 2 * Math.PI);
+  ctx.fillStyle = personColor(slot);
+  ctx.fill();
+  ctx.font = 'bold 13px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(String(slot), x, y + 1);
+  ctx.textAlign = 'start';
+  ctx.textBaseline = 'alphabetic';
+}
+
+// What the overlay shows of a mesh; the full mesh stays here
+const summarizeMesh = (mesh) => mesh && {
+  orientation: mesh.orientation,
+  yaw: mesh.yaw,
+  measurements: mesh.measurements
+};
+
+const DEFAULT_SETTINGS = {
+  userHeight: null,
+  smoothing: 'oneEuro',
+  smoothingParams: {},
+  clothPhysics: true,
+  lightingMatch: true,
+  coaching: true,
+  showKeypoints: true,
+  // Masks also arrive for measuring; they only clip garments when this is on
+  occlusion: true,
+  // Multi-person models: slot -> height (cm) and slot -> hidden garment ids
+  personHeights: {},
+  hiddenGarments: {},
+  circumferences: null,
+  scaleCalibration: null
+};
+
+export class TryOnPipeline {
+  /**
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - output, 640×480
+   * @param {Function} post - (message, transfer) sends a message back
+   */
+  constructor(canvas, post) {
+    this.canvas = canvas;
+    this.post = post;
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.layers = [];
+    this.renderer = null;
+    this.detector = null;
+    this.poseModel = null;
+    this.pendingFrame = null;
+    this.latency = null;
+
+    this.builder = new BodyMesh3D(170);
+    this.smoother = new KeypointSmoother(this.settings.smoothing, this.settings.smoothingParams);
+    this.cloth = new ClothSimulator();
+    this.lightingEstimator = new LightingEstimator();
+    this.coach = new PoseCoach();
+    // Multi-person models: tracked slot -> { builder, smoother, cloth, coach }
+    this.tracker = new PersonTracker();
+    this.people = new Map();
+
+    this.capture = null;
+    this.recorder = null;
+    this.recordingGeneration = null;
+    this.mirroring = false;
+    this.replayBackground = null;
+
+    this.maskLayer = createCanvas(FRAME_WIDTH, FRAME_HEIGHT);
+    this.garmentLayer = createCanvas(FRAME_WIDTH, FRAME_HEIGHT);
+    this.occluderLayer = createCanvas(FRAME_WIDTH, FRAME_HEIGHT);
+
+    // Latest frame's results, sent to the overlay every UPDATE_INTERVAL_MS
+    this.latest = { keypoints: null, mesh: null, guidance: null, lighting: null, people: [] };
+    this.lastUpdate = -Infinity;
+  }
+
+  async handleMessage(message) {
+    switch (message.type) {
+      case 'init':
+        await tf.ready();
+        await tf.setBackend('webgl');
+        this.post({ type: 'ready' });
+        break;
+      case 'renderer':
+        this.setRenderer(message.renderer);
+        break;
+      case 'poseModel':
+        await this.loadDetector(message.poseModel);
+        break;
+      case 'configure':
+        this.configure(message.settings);
+        break;
+      case 'layers':
+        this.layers = message.layers;
+        this.renderer?.releaseTextures?.(this.layers);
+        break;
+      case 'frame':
+        try {
+          this.pendingFrame = this.processFrame(message.frame, message.mask);
+          await this.pendingFrame;
+        } catch (error) {
+          console.error('Frame error:', error);
+        } finally {
+          this.post({ type: 'frameDone' });
+        }
+        break;
+      case 'replay':
+        this.processRecordedFrames(message.frames, message.restart);
+        break;
+      case 'replayBackground':
+        this.replayBackground?.close?.();
+        this.replayBackground = message.image;
+        break;
+      case 'replayEnd':
+        this.replayBackground?.close?.();
+        this.replayBackground = null;
+        this.resetReplayState();
+        break;
+      case 'resetSmoothing':
+        // A new source or a seek: nobody's filter or cloth should carry over
+        this.smoother.reset();
+        this.cloth.reset();
+        this.people.forEach((person) => {
+          person.smoother.reset();
+          person.cloth.reset();
+        });
+        break;
+      case 'startCapture':
+        this.capture = { phase: 'front', front: [], side: [], generation: message.generation };
+        break;
+      case 'cancelCapture':
+        this.capture = null;
+        break;
+      case 'startRecording':
+        this.recorder = new PoseSessionRecorder(message.meta);
+        this.recordingGeneration = message.generation;
+        break;
+      case 'startMirror':
+        this.mirroring = true;
+        break;
+      case 'stopMirror':
+        this.mirroring = false;
+        break;
+      case 'stopRecording': {
+        const session = this.recorder?.stop() ?? null;
+        this.recorder = null;
+        this.post({ type: 'session', session });
+        break;
+      }
+      case 'snapshot':
+        try {
+          const image = await createImageBitmap(this.canvas);
+          this.post({ type: 'snapshot', image }, [image]);
+        } catch (error) {
+          this.post({ type: 'snapshot', image: null, error: error.message || String(error) });
+        }
+        break;
+    }
+  }
+
+  setRenderer(backend) {
+    this.renderer?.dispose?.();
+    this.renderer = createClothingRenderer(backend);
+  }
+
+  // Swaps detectors once any frame still running on the old one is done
+  async loadDetector(poseModel) {
+    const previous = this.detector;
+    this.detector = null;
+    this.poseModel = poseModel;
+    await Promise.resolve(this.pendingFrame).catch(() => {});
+    previous?.dispose();
+
+    try {
+      const detector = await createPoseDetector(poseModel);
+      // A newer model was picked while this one loaded
+      if (this.poseModel !== poseModel) {
+        detector.dispose();
+        return;
+      }
+      this.latency = null;
+      this.smoother.reset();
+      this.coach.reset();
+      this.tracker.reset();
+      this.people.clear();
+      this.latest.people = [];
+      this.detector = detector;
+      this.post({ type: 'detector', poseModel });
+    } catch (error) {
+      console.error('Detector error:', error);
+      if (this.poseModel === poseModel) {
+        this.post({ type: 'detector', poseModel, error: error.message || String(error) });
+      }
+    }
+  }
+
+  // Merges in any subset of the settings (DEFAULT_SETTINGS)
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    const { userHeight, circumferences, scaleCalibration, smoothing, smoothingParams } = this.settings;
+
+    if ('userHeight' in settings) {
+      this.builder = new BodyMesh3D(userHeight || 170);
+    }
+    this.builder.setCircumferences(circumferences);
+    this.builder.setScaleCalibration(scaleCalibration);
+
+    if ('smoothing' in settings || 'smoothingParams' in settings) {
+      this.smoother = new KeypointSmoother(smoothing, smoothingParams);
+      this.people.forEach((person) => {
+        person.smoother = new KeypointSmoother(smoothing, smoothingParams);
+      });
+    }
+  }
+
+  // Running average of detector time per frame
+  updateLatency(ms) {
+    this.latency = this.latency === null ? ms : this.latency * 0.9 + ms * 0.1;
+  }
+
+  async processFrame(frame, mask) {
+    try {
+      if (!this.detector) return;
+      const personMask = mask ? this.loadMask(mask) : null;
+
+      const start = performance.now();
+      const poses = await this.detector.estimatePoses(frame);
+      this.updateLatency(performance.now() - start);
+      const timestamp = performance.now();
+
+      if (POSE_MODELS[this.poseModel].multiPerson) {
+        const tracked = this.trackPeople(poses.map(pose => normalizePose(pose, this.poseModel)), timestamp);
+        this.drawScene(frame, tracked, tracked.length > 0 ? personMask : null, timestamp);
+      } else if (poses && poses[0]) {
+        const pose = normalizePose(poses[0], this.poseModel);
+        this.recorder?.addFrame(pose.keypoints, timestamp);
+
+        const { keypoints, mesh, clothSimulator } = this.processKeypoints(pose.keypoints, timestamp, pose.keypoints3D);
+        const guidance = this.coachPose(this.coach, keypoints, mesh, this.layers);
+        this.latest.guidance = guidance;
+
+        if (this.capture && (!guidance || guidance.ready.measure)) {
+          this.collectCaptureSample(keypoints, personMask, mesh?.orientation);
+        }
+
+        const layers = this.readyLayers(this.layers, guidance);
+        this.drawScene(frame, [{ keypoints, mesh, layers, clothSimulator }], personMask, timestamp);
+      } else {
+        this.latest.guidance = this.coachPose(this.coach, null, null, this.layers);
+      }
+      this.postUpdate(timestamp);
+    } catch (error) {
+      console.error('Detection error:', error);
+    } finally {
+      frame.close();
+      mask?.close();
+    }
+  }
+
+  // Masks arrive as bitmaps; measuring reads pixels, so they go on a canvas
+  loadMask(mask) {
+    const ctx = this.maskLayer.getContext('2d', { willReadFrequently: true });
+    ctx.clearRect(0, 0, FRAME_WIDTH, FRAME_HEIGHT);
+    ctx.drawImage(mask, 0, 0, FRAME_WIDTH, FRAME_HEIGHT);
+    return this.maskLayer;
+  }
+
+  // Replay: every recorded frame goes through smoothing, mesh building, cloth
+  // and scene light in order with its recorded timestamp, so a session
+  // always produces the same frames. Only the last one is drawn.
+  processRecordedFrames(frames, restart) {
+    // Loop from a clean state
+    if (restart) this.resetReplayState();
+
+    let frame = null;
+    let timestamp = null;
+    frames.forEach(({ t, keypoints }) => {
+      frame = this.processKeypoints(keypoints, t);
+      timestamp = t;
+    });
+    if (!frame) return;
+    this.drawScene(this.replayBackground, [{ ...frame, layers: this.layers }], null, timestamp);
+    this.postUpdate(performance.now());
+  }
+
+  // Filters, cloth and light carry state from frame to frame; replays and
+  // the return to live video each start them afresh
+  resetReplayState() {
+    this.smoother.reset();
+    this.cloth.reset();
+    this.lightingEstimator.reset();
+  }
+
+  // Smooth one frame's keypoints, rebuild the body mesh from them and move
+  // the cloth simulation to this frame's time. keypoints3D (BlazePose) only
+  // feed orientation, so they are used as is.
+  processKeypoints(rawKeypoints, timestamp, keypoints3D = null) {
+    const keypoints = this.smoother.smooth(rawKeypoints, timestamp);
+    const mesh = this.builder.buildBodyMesh(keypoints, keypoints3D);
+    this.latest.keypoints = keypoints;
+    if (mesh) this.latest.mesh = mesh;
+
+    const clothSimulator = this.settings.clothPhysics ? this.cloth : null;
+    clothSimulator?.advance(timestamp);
+    return { keypoints, mesh, clothSimulator };
+  }
+
+  // Multi-person frame: each tracked slot keeps its own smoother, mesh and
+  // height. Returns people ordered far to near (smaller bodies first) so
+  // nearer people are drawn over those behind them.
+  trackPeople(poses, timestamp) {
+    const { userHeight, personHeights, hiddenGarments, clothPhysics, smoothing, smoothingParams } = this.settings;
+    const tracked = this.tracker.update(poses, timestamp).map(({ slot, pose, size }) => {
+      let person = this.people.get(slot);
+      if (!person) {
+        person = {
+          builder: new BodyMesh3D(userHeight || 170),
+          smoother: new KeypointSmoother(smoothing, smoothingParams),
+          cloth: new ClothSimulator(),
+          coach: new PoseCoach()
+        };
+        this.people.set(slot, person);
+      }
+      // Ignore half-typed heights
+      const height = personHeights[slot];
+      person.builder.height = height >= 100 ? height : userHeight || 170;
+
+      const keypoints = person.smoother.smooth(pose.keypoints, timestamp);
+      const mesh = person.builder.buildBodyMesh(keypoints, pose.keypoints3D);
+      const hidden = hiddenGarments[slot] || [];
+      const worn = this.layers.filter(layer => !hidden.includes(layer.id));
+      const guidance = this.coachPose(person.coach, keypoints, mesh, worn);
+      const layers = this.readyLayers(worn, guidance);
+      const clothSimulator = clothPhysics ? person.cloth : null;
+      clothSimulator?.advance(timestamp);
+      return { slot, size, keypoints, mesh, layers, clothSimulator, prompts: guidance?.prompts || [] };
+    });
+
+    const expired = this.tracker.expired(timestamp);
+    expired.forEach((slot) => {
+      this.tracker.release(slot);
+      this.people.delete(slot);
+    });
+    if (expired.length > 0) this.post({ type: 'expired', slots: expired });
+
+    this.latest.people = tracked.map(({ slot, mesh, prompts }) => ({ slot, mesh: summarizeMesh(mesh), prompts }));
+    return [...tracked].sort((a, b) => a.size - b.size);
+  }
+
+  // Framing check for one person (utils/poseCoach); null with coaching off.
+  // The light estimate is the previous frame's, which is close enough.
+  coachPose(coach, keypoints, mesh, layers) {
+    if (!this.settings.coaching) return null;
+    return coach.update(keypoints, {
+      clothingTypes: layers.map(layer => layer.clothingType),
+      width: FRAME_WIDTH,
+      height: FRAME_HEIGHT,
+      orientation: mesh?.orientation,
+      lighting: this.settings.lightingMatch ? this.lightingEstimator.lighting : null,
+      faceCamera: this.capture?.phase === 'front'
+    });
+  }
+
+  // Layers whose joints the coach has not seen reliably yet wait, rather
+  // than being drawn from guessed positions
+  readyLayers(layers, guidance) {
+    return guidance ? layers.filter(layer => guidance.ready[layer.clothingType]) : layers;
+  }
+
+  // Guided capture: collect silhouette widths facing the camera, then depths
+  // side-on, and turn them into ellipse circumferences
+  collectCaptureSample(keypoints, personMask, meshOrientation) {
+    const session = this.capture;
+    if (!session || !personMask) return;
+
+    const orientation = meshOrientation ?? this.builder.detectOrientation(keypoints);
+    const visible = keypoints.filter(k => k.score > 0.3);
+    // Side-on, the far shoulder is often hidden entirely
+    const visibleShoulders = visible.filter(k => k.name.endsWith('_shoulder')).length;
+    const isSide = orientation === 'side' || visibleShoulders === 1;
+    if (session.phase === 'front' ? (orientation !== 'front' || visibleShoulders < 2) : !isSide) return;
+
+    const kp = Object.fromEntries(visible.map(k => [k.name, k]));
+    const sample = measureSilhouette(personMask, getMeasurementLines(keypoints), this.builder.getPixelsPerCm(kp));
+    if (!sample) return;
+
+    session[session.phase].push(sample);
+    if (session.phase === 'front' && session.front.length >= CAPTURE_SAMPLES) {
+      session.phase = 'side';
+    } else if (session.phase === 'side' && session.side.length >= CAPTURE_SAMPLES) {
+      const circumferences = estimateCircumferences(session.front, session.side);
+      this.settings.circumferences = circumferences;
+      this.builder.setCircumferences(circumferences);
+      this.capture = null;
+      this.post({ type: 'circumferences', circumferences });
+    }
+  }
+
+  // Sends the latest results to the overlay, at most every UPDATE_INTERVAL_MS
+  postUpdate(timestamp) {
+    if (timestamp - this.lastUpdate < UPDATE_INTERVAL_MS) return;
+    this.lastUpdate = timestamp;
+
+    const { keypoints, mesh, guidance, lighting, people } = this.latest;
+    const capture = this.capture;
+    this.post({
+      type: 'update',
+      keypoints,
+      bodyMesh: summarizeMesh(mesh),
+      guidance,
+      lighting,
+      latency: this.latency,
+      people,
+      capture: capture && {
+        phase: capture.phase,
+        front: capture.front.length,
+        side: capture.side.length,
+        generation: capture.generation
+      },
+      recording: this.recorder && { frames: this.recorder.frameCount, generation: this.recordingGeneration }
+    });
+  }
+
+  // Draws the garments with the person mask applied: torso fabric, then any
+  // forearm/hand crossing it, then sleeves on top
+  renderOccludedClothing(ctx, source, mesh, layers, personMask, clothSimulator = null) {
+    const layer = this.garmentLayer;
+    const layerCtx = layer.getContext('2d');
+
+    ['body', 'sleeves'].forEach((parts) => {
+      layerCtx.clearRect(0, 0, layer.width, layer.height);
+      this.renderer?.renderOutfit(layerCtx, layers, mesh, { parts, clothSimulator });
+      clipToSilhouette(layerCtx, personMask);
+      ctx.drawImage(layer, 0, 0);
+
+      if (parts === 'body') {
+        drawArmOcclusion(ctx, source, personMask, mesh, this.occluderLayer);
+      }
+    });
+  }
+
+  // Composite background, garments and keypoints onto the output canvas.
+  // people: [{ keypoints, mesh, layers, clothSimulator?, slot? }] in drawing order; slot is
+  // set for tracked people and labels them. Without a background image a
+  // plain backdrop is drawn. timestamp (ms) is the frame's time, live or
+  // recorded, and paces the scene light estimate.
+  drawScene(background, people, personMask, timestamp) {
+    // Scene light from the nearest (last drawn) person's face
+    const nearest = people[people.length - 1];
+    const sceneLighting = this.settings.lightingMatch && background && nearest
+      ? this.lightingEstimator.update(background, nearest.keypoints, timestamp)
+      : null;
+    this.renderer?.setLighting(sceneLighting);
+    this.latest.lighting = sceneLighting;
+
+    const ctx = this.canvas.getContext('2d');
+    ctx.clearRect(0, 0, FRAME_WIDTH, FRAME_HEIGHT);
+    if (background) {
+      ctx.drawImage(background, 0, 0, FRAME_WIDTH, FRAME_HEIGHT);
+    } else {
+      const backdrop = ctx.createLinearGradient(0, 0, 0, FRAME_HEIGHT);
+      backdrop.addColorStop(0, '#374151');
+      backdrop.addColorStop(1, '#111827');
+      ctx.fillStyle = backdrop;
+      ctx.fillRect(0, 0, FRAME_WIDTH, FRAME_HEIGHT);
+    }
+
+    // Render 3D clothing with proper body wrapping
+    people.forEach(({ mesh, layers, clothSimulator = null }) => {
+      if (layers.length === 0 || !mesh) return;
+      if (personMask && this.settings.occlusion) {
+        this.renderOccludedClothing(ctx, background, mesh, layers, personMask, clothSimulator);
+      } else {
+        this.renderer?.renderOutfit(ctx, layers, mesh, { clothSimulator });
+      }
+    });
+
+    // Draw minimal keypoints
+    if (this.settings.showKeypoints) {
+      people.forEach(({ keypoints, slot }) => {
+        const color = slot ? personColor(slot) : 'rgb(0, 255, 0)';
+        ctx.globalAlpha = 0.5;
+        ctx.fillStyle = color;
+        keypoints.forEach((kp) => {
+          if (kp.score > 0.4) {
+            ctx.beginPath();
+            ctx.arc(kp.x, kp.y, 2, 0, 2 * Math.PI);
+            ctx.fill();
+          }
+        });
+        ctx.globalAlpha = 1;
+        if (slot) drawPersonLabel(ctx, keypoints, slot);
+      });
+    }
+
+    if (this.mirroring) this.postMirrorFrame();
+  }
+
+  // A canvas handed to a worker does not reliably feed captureStream() on
+  // the page, so clip recording asks for a copy of every frame instead
+  postMirrorFrame() {
+    createImageBitmap(this.canvas)
+      .then((image) => this.post({ type: 'mirrorFrame', image }, [image]))
+      .catch((error) => console.error('Mirror frame error:', error));
+  }
+
+  dispose() {
+    this.poseModel = null;
+    const detector = this.detector;
+    this.detector = null;
+    Promise.resolve(this.pendingFrame).finally(() => detector?.dispose());
+    this.renderer?.dispose?.();
+    this.renderer = null;
+  }
+}
+
+/**
+ * Starts a pipeline drawing onto `canvas`: in the try-on worker when the
+ * browser can hand the canvas over as an OffscreenCanvas, otherwise on this
+ * thread. The canvas is transferred, so it must not have a context yet.
+ *
+ * @param {HTMLCanvasElement} canvas - display canvas
+ * @param {Function} onMessage - receives the pipeline's messages
+ * @returns {{ post: Function, terminate: Function, inWorker: boolean }}
+ *   post(message, transfer); inWorker is false for the main-thread fallback
+ */
+export function startTryOnPipeline(canvas, onMessage) {
+  if (typeof Worker !== 'undefined' && canvas.transferControlToOffscreen) {
+    const worker = new Worker(new URL('../workers/tryOnWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => onMessage(data);
+    worker.onerror = (event) => {
+      console.error('Try-on worker failed:', event.message);
+      onMessage({ type: 'error', error: event.message });
+    };
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+    return {
+      post: (message, transfer = []) => worker.postMessage(message, transfer),
+      terminate: () => worker.terminate(),
+      inWorker: true
+    };
+  }
+
+  let stopped = false;
+  const pipeline = new TryOnPipeline(canvas, (message) => {
+    if (!stopped) onMessage(message);
+  });
+  // Messages are handled one after another, as a worker would
+  let queue = Promise.resolve();
+  const post = (message) => {
+    queue = queue.then(() => pipeline.handleMessage(message)).catch((error) => {
+      console.error('Try-on error:', error);
+      if (message.type === 'frame') onMessage({ type: 'frameDone' });
+    });
+  };
+  post({ type: 'init' });
+  return {
+    post,
+    terminate: () => {
+      stopped = true;
+      pipeline.dispose();
+    },
+    inWorker: false
+  };
+}
@@ -0,0 +1,129 @@
+// utils/wardrobe.js
+// On-device garment library in IndexedDB. Nothing here leaves the browser.
+//
+// Item: {
+//   id, name, clothingType, tags: string[],
+//   frontClothing, backClothing,      // original image data URLs
+//   sideClothing,                     // optional profile view
+//   refinedFront, refinedBack,        // background-removed data URLs
+//   refinedSide,
+//   frontAnchors, backAnchors,        // utils/garmentAnchors
+//   createdAt, updatedAt              // ms timestamps
+// }
+
+import { ClothingProcessor } from './clothingProcessor';
+
+const DB_NAME = 'virtual-try-on';
+const DB_VERSION = 1;
+const STORE = 'wardrobe';
+
+let dbPromise = null;
+
+function openWardrobe() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failed open (e.g. storage blocked)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs fn(store) in a transaction and resolves with the request's result
+// once the transaction has committed
+async function withStore(mode, fn) {
+  const db = await openWardrobe();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Newest first
+export async function listWardrobe() {
+  const items = await withStore('readonly', (store) => store.getAll());
+  return items.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+async function removeBackgroundToDataUrl(source) {
+  const img = await new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load garment image'));
+    image.src = source;
+  });
+  const { image } = await ClothingProcessor.removeBackground(img);
+  return image.src;
+}
+
+/**
+ * Saves a garment (utils/outfit shape) to the wardrobe. Sides without a
+ * touched-up cut-out get automatic background removal so the stored item is
+ * ready to render.
+ */
+export async function saveToWardrobe(garment, { name, tags = [] } = {}) {
+  const now = Date.now();
+  const item = {
+    id: `wardrobe-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || garment.name || garment.clothingType,
+    clothingType: garment.clothingType,
+    tags,
+    frontClothing: garment.frontClothing,
+    backClothing: garment.backClothing ?? null,
+    sideClothing: garment.sideClothing ?? null,
+    refinedFront: garment.refinedFront || await removeBackgroundToDataUrl(garment.frontClothing),
+    refinedBack: garment.backClothing
+      ? garment.refinedBack || await removeBackgroundToDataUrl(garment.backClothing)
+      : null,
+    refinedSide: garment.sideClothing
+      ? garment.refinedSide || await removeBackgroundToDataUrl(garment.sideClothing)
+      : null,
+    frontAnchors: garment.frontAnchors ?? null,
+    backAnchors: garment.backAnchors ?? null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await withStore('readwrite', (store) => store.put(item));
+  return item;
+}
+
+export async function updateWardrobeItem(id, changes) {
+  const item = await withStore('readonly', (store) => store.get(id));
+  if (!item) throw new Error('Wardrobe item not found');
+  const updated = { ...item, ...changes, id, updatedAt: Date.now() };
+  await withStore('readwrite', (store) => store.put(updated));
+  return updated;
+}
+
+export function deleteWardrobeItem(id) {
+  return withStore('readwrite', (store) => store.delete(id));
+}
+
+export function parseTags(text) {
+  return [...new Set(text.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Every word of the query must match the name, type or a tag
+export function searchWardrobe(items, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return items;
+  return items.filter((item) => {
+    const haystack = [item.name, item.clothingType, ...item.tags].join(' ').toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+}
@@ -0,0 +1,24 @@
+// workers/tryOnWorker.js
+// Runs the live try-on pipeline (utils/tryOnPipeline) off the main thread so
+// inference and drawing do not hold up the React UI. The first message
+// brings the display canvas as an OffscreenCanvas.
+
+import { TryOnPipeline } from '../utils/tryOnPipeline';
+
+let pipeline = null;
+// Handled one at a time: a frame or a model switch finishes before the next
+// message is looked at. A frame that fails is still acknowledged, or the
+// page would wait for it forever.
+let queue = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') {
+    pipeline = new TryOnPipeline(data.canvas, (message, transfer = []) => self.postMessage(message, transfer));
+  }
+  queue = queue
+    .then(() => pipeline.handleMessage(data))
+    .catch((error) => {
+      console.error('Try-on worker error:', error);
+      if (data.type === 'frame') self.postMessage({ type: 'frameDone' });
+    });
+};